@@ -1,6 +1,16 @@
 const Frontend = (() => {
 
     const state = {};
+    const runtimeState = {};        // "$"-prefixed paths owned by the runtime, kept out of user state
+    let batchDepth = 0;
+    let pendingDataEvents = null;   // path → held change while a batch is open
+    let activeTransaction = null;   // transaction recording the current writes
+    const config = {
+        cacheTTL: 0,                // ms a cached fetch stays fresh (0 = until cleared)
+        maxConcurrentFetches: 6,    // network requests in flight at once (0 = unlimited)
+        lazyRootMargin: "200px",    // how early loading="lazy" fragments start fetching
+        observe: false              // auto-process markup inserted by other scripts
+    };
     let markdownProcessor = text => `<pre>${text}</pre>`; // default fallback
 
 
@@ -10,25 +20,132 @@ const Frontend = (() => {
      */
     async function initialize() {
 
+        const startedAt = Date.now();
+
+        initialized = true;
+        updateMutationObserver();
+
+        // --- Seed state from server-rendered JSON before anything substitutes it ---
+        loadStateScripts(document);
+
+        const stats = await processRoot(document);
+
+        const finishedAt = Date.now();
+        dispatch("page:load_complete", {
+            count: stats.count,
+            failed: stats.failed,
+            durationMs: finishedAt - startedAt,
+            finishedAt
+        });
+
+    }
+
+
+    /**
+     * Runs the full processing pipeline over a subtree: behaviors, templates,
+     * conditional blocks, triggers, data bindings, code blocks, lists, components
+     * and fragments.
+     *
+     * Every step skips work that was already done (compiled <trigger> and
+     * <data-binding> tags are consumed, code blocks are flagged, fragments and
+     * components are replaced), so running it twice over the same nodes is safe.
+     *
+     * @param {ParentNode} root - The document or element to process.
+     * @returns {Promise<{count: number, failed: number, components: number}>}
+     *          Fragments loaded / failed and components rendered.
+     */
+    async function processRoot(root) {
 
         if (!Frontend._behaviors) Frontend._behaviors = new Map();
 
-        await loadBehaviorLinks(document);
-        await loadBehaviorsElements(document);
+        await loadBehaviorLinks(root);
+        await loadBehaviorsElements(root);
+
+        await loadTemplateLinks(root);
+        await loadTemplates(root);
+
+        captureConditionals(root);
+
+        applyBehaviors(root);
+
+        await buildTriggers(root);
+        await buildDataBindings(root);
+
+        await loadCodeElements(root);
+
+        const stats = { count: 0, failed: 0 };
+
+        await mountPendingConditionals(stats);
+        await loadLists(root, stats);
+
+        const components = await loadComponents(root, stats);
+
+        await loadFragments(root, stats);
+
+        return { ...stats, components };
+    }
+
+
+    /**
+     * Manually processes a subtree that was inserted outside the runtime
+     * (e.g. via innerHTML or a third-party widget).
+     *
+     * @param {ParentNode} [root=document] - The document or element to process.
+     * @returns {Promise<{root: ParentNode, count: number, failed: number, components: number}>}
+     */
+    async function load(root = document) {
+        if (!(root instanceof Element) && root !== document) {
+            console.error("[Frontend] load() called with non-element:", root);
+            return { root, count: 0, failed: 0, components: 0 };
+        }
+
+        const stats = await processRoot(root);
+        return { root, ...stats };
+    }
+
 
-        await loadTemplateLinks(document);
-        await loadTemplates(document);
+    /**
+     * Programmatically loads a fragment into a parent element.
+     * Creates a <fragment src="..."> with the given params, appends it to the
+     * parent and runs it through the normal fragment pipeline.
+     *
+     * @param {string|Element} parent - The parent element or its id.
+     * @param {string} src            - The fragment source URL.
+     * @param {Object} [extraParams={}] - Params exposed as {{key}} in the fragment.
+     * @returns {Promise<{nodes: Node[], count: number, failed: number}>}
+     *          The nodes appended to the parent, and fragments loaded / failed.
+     */
+    async function loadFragmentInto(parent, src, extraParams = {}) {
+        const destination = typeof parent === "string" ? document.getElementById(parent) : parent;
+        if (!(destination instanceof Element)) {
+            console.warn("[Frontend] loadFragmentInto: parent element not found:", parent);
+            return { nodes: [], count: 0, failed: 0 };
+        }
 
-        await buildTriggers(document);
-        await buildDataBindings(document);
+        const el = document.createElement("fragment");
+        el.setAttribute("src", src);
+        for (const [key, value] of Object.entries(extraParams || {})) {
+            el.setAttribute(`param-${key}`, value);
+        }
 
-        await loadCodeElements(document);
+        // Everything between the markers is what this fragment inserted (the
+        // parent's last child can move, e.g. the shared <templates> container)
+        const start = document.createComment("fragment-into");
+        const end = document.createComment("/fragment-into");
+        markRuntimeNodes([start, el, end]);
+        destination.append(start, el, end);
 
-        const loadedCount = await loadFragments(document);
+        const stats = await loadFragment(el);
 
+        const nodes = [];
+        for (let n = start.nextSibling; n && n !== end; n = n.nextSibling) {
+            nodes.push(n);
+        }
 
-        dispatch("page:load_complete", { count: loadedCount, finishedAt: Date.now() });
+        start.remove();
+        end.remove();
 
+        return { nodes, ...stats };
     }
 
 
@@ -51,7 +168,7 @@ const Frontend = (() => {
     async function loadBehaviorLinks(root = document) {
 
 
-        const links = Array.from(root.querySelectorAll('link[type="behaviors"][src]'));
+        const links = Array.from(root.querySelectorAll('link[type="behaviors"][src]:not([data-loaded])'));
         // --- Load external behavior packs ---
         for (const link of links) {
 
@@ -68,11 +185,9 @@ const Frontend = (() => {
                     continue;
                 }
 
-                const response = await fetch(src);
-                if (!response.ok)
-                    throw new Error(`HTTP ${response.status}`);
+                const html = await fetchText(src);
+                link.dataset.loaded = "true";
 
-                const html = await response.text();
                 const wrapper = document.createElement("div");
                 wrapper.innerHTML = html;
 
@@ -115,9 +230,7 @@ const Frontend = (() => {
                 "plaintext";
 
             try {
-                const res = await fetch(src);
-                if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                const codeText = await res.text();
+                const codeText = await fetchText(src);
 
                 el.textContent = codeText;
                 el.dataset.loaded = "true";
@@ -141,1325 +254,6348 @@ const Frontend = (() => {
 
 
 
-    async function loadComponents(root) {
-        const components = Array.from(root.querySelectorAll("component"));
+    /**
+     * Renders all <component> elements inside the given root.
+     * Skips any components that are nested inside <code> blocks.
+     * Returns the number of components successfully rendered.
+     *
+     * @param {ParentNode} root
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     */
+    async function loadComponents(root = document, stats = { count: 0, failed: 0 }) {
+        const components = Array.from(root.querySelectorAll("component"))
+            .filter(comp => !comp.closest("code"));
+
+        let renderedCount = 0;
 
         for (const comp of components) {
+            // Skip components that were discarded along with an outer component
+            if (!root.contains(comp))
+                continue;
 
-            const componentData = getComponentData(comp);
-
-            const componentID = "fec_" + crypto.randomUUID();
+            renderedCount += await loadComponentElement(comp, stats);
         }
+
+        return renderedCount;
     }
 
 
-    async function loadFragment(element) {
-        let loadedCount = 0;
-        const currentFrag = getFragmentData(element);
+    /**
+     * Renders a single <component> element in place from the global templates container.
+     *
+     * Steps:
+     *   1. Resolve the template id (condition / fallback / missing template).
+     *   2. Substitute {{params}} into the template HTML.
+     *   3. Parse it like a fragment (behaviors, triggers, bindings, code, links, scripts)
+     *      and replace the <component> with the result.
+     *   4. Fire `component:loaded` and the `onload` handler.
+     *   5. Render nested components and load nested fragments.
+     *
+     * On failure the `onerror` handler runs and the <component> is removed.
+     *
+     * @param {Element} element - The <component> element.
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     * @returns {Promise<number>} 1 if rendered, otherwise 0.
+     */
+    async function loadComponentElement(element, stats = { count: 0, failed: 0 }) {
+        const comp = getComponentData(element);
+        if (!comp) {
+            element.remove();
+            return 0;
+        }
 
-        try {
-            // --- Resolve target source ---
-            const targetSrc = resolveFragmentSource(currentFrag);
-            if (!targetSrc) {
-                // replaces frag with inner content
-                useInlineFallback(currentFrag);
-                return;
-            }
+        let templateID = comp.template;
 
-            // --- Fetch HTML ---
-            const raw = await fetchFragment(currentFrag);
-            let html = raw;
-            if (!raw) {
-                // replaces frag with inner content
-                useInlineFallback(currentFrag);
-                return;
+        try {
+            // --- Resolve template ---
+            templateID = resolveComponentTemplate(comp);
+            if (!templateID) {
+                // condition failed and no fallback → render nothing
+                element.remove();
+                return 0;
             }
 
-            // --- Determine content type ---
-            const src = currentFrag.src?.toLowerCase() || "";
+            const tmpl = getTemplate(templateID);
+            const html = tmpl.innerHTML;
 
-            if (src.endsWith(".md") || src.endsWith(".markdown") || src.endsWith(".mkd"))
-            {
-                console.info(`[Frontend] Rendering Markdown fragment: ${src}`);
-                html = Frontend.renderMarkdown(raw);
+            // --- Param substitution ---
+            const substituted = substituteParams(html, comp.params);
 
-                // --- Param substitution ---
-                const substituted = substituteParams(html, currentFrag.params);
+            // --- Parse & replace ---
+            const newNodes = parseFragment(substituted, comp);
 
-                // --- Replace the <fragment> with the rendered HTML ---
-                const wrapper = document.createElement("div");
-                wrapper.innerHTML = substituted;
+            // --- Fire event & onload ---
+            dispatch("component:loaded", { id: comp.id, template: templateID, nodes: newNodes });
+            invokeLifecycleHandler(comp.onload, { el: element, nodes: newNodes, template: templateID, comp });
 
-                loadCodeElements(wrapper);
+            // --- Nested components & fragments ---
+            await loadNestedContent(newNodes, stats);
 
-                const newNodes = Array.from(wrapper.childNodes);
-                currentFrag.el.replaceWith(...newNodes);
+            return 1;
 
-                // --- Fire completion event ---
-                dispatch("fragment:loaded", { id: currentFrag.id, src: src, nodes: newNodes });
-                loadedCount++;
+        } catch (err) {
+            console.error(`[Frontend] Failed to render component "${templateID}":`, err);
+            invokeLifecycleHandler(comp.onerror, { el: element, err, template: templateID, comp });
+            element.remove();
+            return 0;
+        }
+    }
 
-            }else{
 
-                // --- Param substitution ---
-                const substituted = substituteParams(html, currentFrag.params);
-            
-                // --- Parse & replace ---
-                const newNodes = parseFragment(substituted, currentFrag);
+    /**
+     * Mounts conditional blocks, renders lists and components and loads fragments
+     * found in freshly inserted nodes.
+     * Nodes that are themselves <for-each>, <component> or <fragment> elements are handled directly.
+     *
+     * @param {Node[]} nodes - Nodes that were just inserted into the document.
+     * @param {{count: number, failed: number}} [stats] - Accumulates fragment results.
+     * @returns {Promise<{count: number, failed: number}>}
+     */
+    async function loadNestedContent(nodes, stats = { count: 0, failed: 0 }) {
+        await mountPendingConditionals(stats);
+        await loadNestedLists(nodes, stats);
+        await loadNestedComponents(nodes, stats);
+
+        const fragments = [];
+        for (const n of nodes) {
+            if (n.nodeType !== Node.ELEMENT_NODE || !n.isConnected)
+                continue;
 
+            if (n.tagName.toLowerCase() === "fragment" && n.hasAttribute("src")) {
+                fragments.push(n);
+            } else {
+                fragments.push(...findFragments(n));
+            }
+        }
 
+        return loadFragmentList(fragments, stats);
+    }
 
-                // --- Fire event ---
-                dispatch("fragment:loaded", { id: currentFrag.id, src: targetSrc, nodes: newNodes });
-                loadedCount++;
 
-                // --- Nested fragments ---
-                for (const n of newNodes)
-                {
-                    if (n.nodeType === Node.ELEMENT_NODE && n.tagName.toLowerCase() === "fragment")
-                    {
-                        loadedCount += await loadFragment(n);
-                    }
-                }
+    /**
+     * Renders any <component> elements found in (or being) the given nodes.
+     *
+     * @param {Node[]} nodes - Nodes that were just inserted into the document.
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     */
+    async function loadNestedComponents(nodes, stats = { count: 0, failed: 0 }) {
+        for (const n of nodes) {
+            if (n.nodeType !== Node.ELEMENT_NODE || !n.isConnected)
+                continue;
 
+            if (n.tagName.toLowerCase() === "component") {
+                await loadComponentElement(n, stats);
+            } else {
+                await loadComponents(n, stats);
             }
+        }
+    }
 
 
+    /**
+     * Loads a single <fragment> element and everything nested inside it.
+     * Also the public entry point for `loading="lazy"` / `loading="manual"` fragments,
+     * which are loaded immediately when passed here. Calling it again while the
+     * fragment is still loading (e.g. racing the lazy observer) returns the same load.
+     *
+     * @param {string|Element} target - A <fragment> element or its id.
+     * @param {{count: number, failed: number}} [stats] - Accumulates results.
+     * @returns {Promise<{count: number, failed: number}>}
+     */
+    function loadFragment(target, stats = { count: 0, failed: 0 }) {
+        const element = typeof target === "string" ? document.getElementById(target) : target;
 
-            
-
-            
-
-        } catch (err) {
-            console.error("Unexpected fragment error:", err);
-            element.remove();
+        if (!(element instanceof Element) || element.tagName.toLowerCase() !== "fragment") {
+            console.warn("[Frontend] loadFragment: <fragment> not found:", target);
+            return Promise.resolve(stats);
         }
-        return loadedCount;
-    }
 
-/**
- * Loads all <fragment src="..."> elements inside the given root.
- * Skips any fragments that are nested inside <code> or <pre><code> blocks.
- * Returns the number of fragments successfully loaded.
- */
-async function loadFragments(root) {
-    // Find all fragment[src] but filter out those inside <code> or <pre><code>
-    const allFragments = Array.from(root.querySelectorAll("fragment[src]")).filter(frag => {
-        // Skip if any ancestor is a <code> element
-        return !frag.closest("code");
-    });
+        if (fragmentLoads.has(element))
+            return fragmentLoads.get(element);
 
-    let loadedCount = 0;
+        releaseDeferredFragment(element);
 
-    for (const fragEl of allFragments) {
-        loadedCount += await loadFragment(fragEl);
+        const load = loadFragmentList([element], stats);
+        fragmentLoads.set(element, load);
+        return load;
     }
 
-    return loadedCount;
-}
-
 
-    async function loadTemplateLinks(root = document) {
-        const templateLinks = Array.from(root.querySelectorAll('link[type="templates"][src]'));
+    /**
+     * Loads a list of sibling <fragment> elements.
+     *
+     * All fetches start immediately (capped by `maxConcurrentFetches`), but each
+     * fragment is inserted in list order as soon as it and every fragment before
+     * it are ready. Nested fragments start loading as soon as their parent is
+     * inserted, without holding up the remaining siblings.
+     *
+     * A fragment with a `condition` is the exception: its condition is evaluated
+     * (and its fetch started) only once every fragment before it, nested content
+     * included, has settled, so it can depend on their scripts and state.
+     *
+     * Resolves once the whole nested tree has settled.
+     *
+     * @param {Element[]} elements - <fragment> elements in document order.
+     * @param {{count: number, failed: number}} [stats] - Accumulates results.
+     * @returns {Promise<{count: number, failed: number}>}
+     */
+    async function loadFragmentList(elements, stats = { count: 0, failed: 0 }) {
 
-        // --- Load from <link type="templates" src="..."> ---
-        if (templateLinks.length === 0)
-            return;
+        // --- Lazy / manual fragments wait for their own trigger; skip ones already loading ---
+        const eager = elements.filter(el => !loadingFragments.has(el) && !deferFragment(el));
+        eager.forEach(el => loadingFragments.add(el));
 
+        // --- Start every fetch up front, except those behind a condition ---
+        const requests = eager.map(el => el.hasAttribute("condition") ? null : prepareFragment(el));
 
-        for (const link of templateLinks) {
-            const src = link.getAttribute('src');
-            if (!src)
-                continue;
+        // --- Insert in order, kicking off nested loads as we go ---
+        const nested = [];
+        for (let i = 0; i < eager.length; i++) {
+            if (!requests[i]) {
+                await Promise.all(nested);
+                requests[i] = prepareFragment(eager[i]);
+            }
 
-            try {
-                const response = await fetch(src);
+            const prepared = await requests[i];
 
-                if (!response.ok)
-                    throw new Error(`HTTP ${response.status} for templates: ${src}`);
+            // --- Removed while its fetch was in flight (e.g. by a newer reload) ---
+            if (!prepared.frag.el.parentNode)
+                continue;
 
-                const html = await response.text();
+            const newNodes = renderFragment(prepared);
+            if (!newNodes) {
+                stats.failed++;
+                continue;
+            }
 
-                // Parse fetched HTML
-                const wrapper = document.createElement('div');
-                wrapper.innerHTML = html;
+            stats.count++;
+            nested.push(loadNestedContent(newNodes, stats));
+        }
 
-                // Grab all <template id="..."> elements
-                const templates = Array.from(wrapper.querySelectorAll('template[id]'));
-                if (templates.length === 0) {
-                    console.warn(`[Frontend] No <template id="..."> found in ${src}`);
-                    continue;
-                }
+        await Promise.all(nested);
+        return stats;
+    }
 
-                for (const tmpl of templates) {
-                    moveTemplateToGlobal(tmpl, mainContainer);
-                }
 
+    /** Observer for `loading="lazy"` fragments (created on first use). */
+    let lazyObserver = null;
+    let lazyObserverMargin = null;
 
-                console.log(`[Frontend] Loaded ${templates.length} templates from: ${src}`);
+    /** Lazy fragments waiting for the observer (re-observed if it is replaced) */
+    const lazyFragments = new Set();
 
+    /** <fragment> elements whose fetch has started, and the loadFragment() promise for each */
+    const loadingFragments = new WeakSet();
+    const fragmentLoads = new WeakMap();
 
-            } catch (e) {
-                console.error(`[Frontend] Failed to load templates from ${src}:`, e);
-            }
-        }
-    }
 
     /**
-     * Loads all <template> and <templates> elements within the given root,
-     * ensuring a single <templates id="templates"> container exists at the
-     * end of <body>. Deduplicates template IDs intelligently.
+     * Defers a fragment with `loading="lazy"` or `loading="manual"`.
+     *
+     * - lazy   → loads when the placeholder nears the viewport
+     *            (IntersectionObserver, `config.lazyRootMargin`).
+     * - manual → loads only when `Frontend.loadFragment(idOrElement)` is called.
+     *
+     * The placeholder's inner content stays visible until the load finishes.
+     *
+     * @param {Element} el - The <fragment> element.
+     * @returns {boolean} True if the fragment was deferred.
      */
-    async function loadTemplates(root = document) {
-        const allContainers = Array.from(root.querySelectorAll("templates"));
-        const allTemplates = Array.from(root.querySelectorAll("template"));
-
-        // --- Find or create the global <templates id="templates"> container ---
-        let docTemplateContainer = document.querySelector("templates#templates");
-        if (!docTemplateContainer) {
-            docTemplateContainer = document.createElement("templates");
-            docTemplateContainer.id = "templates";
-            document.body.appendChild(docTemplateContainer);
-        }
+    function deferFragment(el) {
+        const loading = (el.getAttribute("loading") || "eager").toLowerCase();
 
-        // --- Append it to the end of <body> if not already there ---
-        if (document.body.lastElementChild !== docTemplateContainer) {
-            document.body.appendChild(docTemplateContainer);
-        }
+        if (loading === "manual")
+            return true;
 
-        // --- Move all discovered <template> elements into the global container ---
-        for (const tmpl of allTemplates) {
-            const id = tmpl.id?.trim();
+        if (loading !== "lazy")
+            return false;
 
-            // Skip templates without IDs
-            if (!id) {
-                console.warn("[Frontend] Ignored <template> without id:", tmpl);
-                continue;
-            }
+        if (typeof IntersectionObserver === "undefined")
+            return false; // no observer support → load eagerly
 
-            // Skip duplicates intelligently — prefer first seen
-            const existing = docTemplateContainer.querySelector(`template#${CSS.escape(id)}`);
-            if (existing) {
-                // Compare content to see if they differ
-                if (existing.innerHTML !== tmpl.innerHTML) {
-                    console.warn(`[Frontend] Duplicate template id "${id}" detected — kept first, ignored new one.`);
+        if (!lazyObserver || lazyObserverMargin !== config.lazyRootMargin) {
+            lazyObserver?.disconnect();
+            lazyObserverMargin = config.lazyRootMargin;
+            lazyObserver = new IntersectionObserver(entries => {
+                for (const entry of entries) {
+                    if (entry.isIntersecting)
+                        loadFragment(entry.target);
                 }
-                continue;
-            }
+            }, { rootMargin: lazyObserverMargin });
 
-            docTemplateContainer.appendChild(tmpl);
+            // Fragments the old observer was watching move to the new one
+            for (const pending of lazyFragments) {
+                if (pending.isConnected) lazyObserver.observe(pending);
+                else lazyFragments.delete(pending);
+            }
         }
 
-        // --- Remove all <templates> containers found under this root (cleanup) ---
-        for (const container of allContainers) {
-            if (container !== docTemplateContainer)
-                container.remove();
-        }
+        lazyFragments.add(el);
+        lazyObserver.observe(el);
+        return true;
+    }
 
 
+    /**
+     * Stops deferring a fragment so the next load actually fetches it.
+     *
+     * @param {Element} el - The <fragment> element.
+     */
+    function releaseDeferredFragment(el) {
+        lazyObserver?.unobserve(el);
+        lazyFragments.delete(el);
+        el.removeAttribute("loading");
     }
 
 
     /**
-     * Instantiates a template into a destination element.
+     * Resolves a fragment's source and fetches it. Never rejects:
+     * failures are returned as `error` so they can be reported in document order.
      *
-     * @param {string} destinationID - The id of the destination element.
-     * @param {string} templateID - The id of the <template> to instantiate.
-     * @param {Object} [params={}] - Optional key/value params for substitution.
-     * @param {boolean} [clearParent=false] - If true, clears destination before inserting.
+     * @param {Element} element - The <fragment> element.
+     * @returns {Promise<{frag: Object, src: string|null, raw?: string, error?: Error}>}
      */
-    async function loadComponent(destinationID, templateID, params = {}, clearParent = false) {
+    async function prepareFragment(element) {
+        const frag = getFragmentData(element);
+        let src = frag.src;
 
-        // --- Find destination ---
-        const destination = document.getElementById(destinationID);
-        if (!destination) {
-            console.warn(`[Frontend] loadComponent: destination element not found: "${destinationID}"`);
-            return;
-        }
+        try {
+            // --- Resolve target source ---
+            src = resolveFragmentSource(frag);
+            if (!src)
+                return { frag, src: frag.src, error: new Error("Fragment condition failed and no fallback is set") };
 
-        // --- Find template ---
-        const templateContainer = document.querySelector("templates#templates");
-        if (!templateContainer) {
-            console.error("[Frontend] loadComponent: global templates container not found.");
-            return;
-        }
+            // --- Fetch HTML ---
+            const raw = await fetchFragment(frag, src);
+            if (!raw)
+                return { frag, src, error: new Error(`Empty response for fragment: ${src}`) };
 
-        const tmpl = templateContainer.querySelector(`template#${CSS.escape(templateID)}`);
-        if (!tmpl) {
-            console.error(`[Frontend] loadComponent: template "${templateID}" not found.`);
-            return;
-        }
+            return { frag, src, raw };
 
-        // --- Clone the template content ---
-        const html = tmpl.innerHTML;
-        if (!html.trim()) {
-            console.warn(`[Frontend] loadComponent: template "${templateID}" is empty.`);
-            destination.innerHTML = "";
-            return;
+        } catch (err) {
+            return { frag, src, error: err };
         }
+    }
 
-        // --- Param substitution ---
-        const substituted = substituteParams(html, params || {});
 
-        // --- Parse substituted HTML into DOM nodes ---
-        const wrapper = document.createElement("div");
-        wrapper.innerHTML = substituted;
+    /**
+     * Substitutes, parses and inserts a prepared fragment in place of its <fragment> element.
+     *
+     * Every outcome reports back through the fragment's handlers:
+     *   - success → onload(el, nodes, src, frag) and `fragment:loaded`
+     *   - failure → onerror(el, err, src, frag) and `fragment:error`, then inline fallback
+     *
+     * @param {Object} prepared - Result of prepareFragment().
+     * @returns {Node[]|null} The inserted nodes, or null on failure.
+     */
+    function renderFragment({ frag, src, raw, error }) {
 
-        const newNodes = Array.from(wrapper.childNodes);
+        // --- Keep a reloadable boundary around fragments with an id ---
+        markFragmentRegion(frag);
 
-        // --- Insert into destination ---
-        if (clearParent) {
-            destination.innerHTML = "";
+        if (error) {
+            console.error(`[Frontend] Failed to load fragment "${src}":`, error);
+            failFragment(frag, error, src);
+            return null;
         }
 
-        destination.append(...newNodes);
+        try {
+            let newNodes;
+            const lowerSrc = src.toLowerCase();
 
-    }
+            if (lowerSrc.endsWith(".md") || lowerSrc.endsWith(".markdown") || lowerSrc.endsWith(".mkd"))
+            {
+                console.info(`[Frontend] Rendering Markdown fragment: ${src}`);
 
+                // Use the processor directly so a failure reaches onerror
+                // instead of being swallowed by renderMarkdown()'s <pre> fallback
+                const html = markdownProcessor(raw);
 
+                // --- Param substitution ---
+                const substituted = substituteParams(html, frag.params);
 
-    /***************************************************************************************
-     *
-     * Internal Data Utility Functions
-     * -------------------------------
-     * 
-     * getComponentData
-     * getFragmentData
-     * getTriggerData
-     * 
+                // --- Replace the <fragment> with the rendered HTML ---
+                const wrapper = document.createElement("div");
+                wrapper.innerHTML = substituted;
+
+                captureConditionals(wrapper);
+                indexBindings(wrapper);
+                loadCodeElements(wrapper);
+
+                newNodes = Array.from(wrapper.childNodes);
+                markRuntimeNodes(newNodes);
+                frag.el.replaceWith(...newNodes);
+
+            }else{
+
+                // --- Param substitution ---
+                const substituted = substituteParams(raw, frag.params);
+
+                // --- Parse & replace ---
+                newNodes = parseFragment(substituted, frag);
+            }
+
+            // --- Fire event & onload ---
+            dispatch("fragment:loaded", { id: frag.id, src, nodes: newNodes });
+            invokeLifecycleHandler(frag.onload, { el: frag.el, nodes: newNodes, src, frag });
+
+            return newNodes;
+
+        } catch (err) {
+            console.error(`[Frontend] Failed to load fragment "${src}":`, err);
+            failFragment(frag, err, src);
+            return null;
+        }
+    }
+
+
+    /**
+     * Reports a failed fragment load and replaces it with its inline fallback.
+     * Runs the fragment's onerror(el, err, src, frag) handler and fires `fragment:error`.
+     *
+     * @param {Object} frag - The fragment context object.
+     * @param {Error} err   - The failure reason.
+     * @param {string|null} src - The source URL that failed (or was skipped).
+     */
+    function failFragment(frag, err, src) {
+        invokeLifecycleHandler(frag.onerror, { el: frag.el, err, src, frag });
+        dispatch("fragment:error", { id: frag.id, el: frag.el, err, src, frag });
+
+        // Only replace the element if the handler didn't already move or remove it
+        if (frag.el.isConnected)
+            useInlineFallback(frag);
+    }
+
+/**
+ * Finds all <fragment src="..."> elements inside the given root.
+ * Skips any fragments that are nested inside <code> or <pre><code> blocks.
+ */
+function findFragments(root) {
+    // Find all fragment[src] but filter out those inside <code> or <pre><code>
+    return Array.from(root.querySelectorAll("fragment[src]")).filter(frag => {
+        // Skip if any ancestor is a <code> element
+        return !frag.closest("code");
+    });
+}
+
+/**
+ * Loads all <fragment src="..."> elements inside the given root, concurrently.
+ * Skips any fragments that are nested inside <code> or <pre><code> blocks.
+ * Resolves with the number of fragments loaded and failed (including nested ones).
+ */
+async function loadFragments(root, stats = { count: 0, failed: 0 }) {
+    return loadFragmentList(findFragments(root), stats);
+}
+
+
+    /***************************************************************************************
+     *
+     * Fragment Region Functions
+     * -------------------------
+     * A fragment with an id leaves a pair of comment anchors behind when it is replaced:
+     *
+     *   <!--fragment:cart--> ...loaded nodes... <!--/fragment:cart-->
+     *
+     * The region remembers the original <fragment> element (src, params, handlers),
+     * so the content between the anchors can be re-fetched and swapped on demand.
+     *
+     **************************************************************************************/
+
+    /** Fragment id → { id, start, end, source } */
+    const fragmentRegions = new Map();
+
+
+    /**
+     * Wraps a fragment element in region anchors and records it, unless it is
+     * already the sole occupant of its region (i.e. it is being reloaded).
+     *
+     * @param {Object} frag - The fragment context object.
+     */
+    function markFragmentRegion(frag) {
+        if (!frag.id || !frag.el.parentNode)
+            return;
+
+        const existing = fragmentRegions.get(frag.id);
+        const source = frag.el.cloneNode(true);
+
+        if (existing && existing.start.nextSibling === frag.el && frag.el.nextSibling === existing.end) {
+            existing.source = source;
+            return;
+        }
+
+        const start = document.createComment(`fragment:${frag.id}`);
+        const end = document.createComment(`/fragment:${frag.id}`);
+        frag.el.before(start);
+        frag.el.after(end);
+
+        fragmentRegions.set(frag.id, { id: frag.id, start, end, source });
+    }
+
+
+    /**
+     * Returns the nodes currently between a region's anchors.
+     *
+     * @param {Object} region
+     * @returns {Node[]}
+     */
+    function getRegionNodes(region) {
+        const nodes = [];
+        for (let n = region.start.nextSibling; n && n !== region.end; n = n.nextSibling) {
+            nodes.push(n);
+        }
+        return nodes;
+    }
+
+
+    /**
+     * Removes nodes from the document and releases what the runtime attached to them.
+     *
+     * @param {Node[]} nodes
+     */
+    function teardownNodes(nodes) {
+        for (const n of nodes) {
+            n.remove();
+        }
+
+        releaseNodes(nodes);
+    }
+
+
+    /**
+     * Releases what the runtime attached to nodes that left the document:
+     * pending lazy fragments are unobserved, bindings are unindexed and
+     * orphaned regions, lists and conditional blocks are forgotten.
+     *
+     * @param {Node[]} nodes - Nodes that were removed from the document.
+     */
+    function releaseNodes(nodes) {
+        for (const n of nodes) {
+            if (n.nodeType !== Node.ELEMENT_NODE)
+                continue;
+
+            for (const frag of [n, ...n.querySelectorAll("fragment")]) {
+                if (frag.tagName.toLowerCase() === "fragment") {
+                    lazyObserver?.unobserve(frag);
+                    lazyFragments.delete(frag);
+                }
+            }
+
+            unindexBindings(n);
+        }
+
+        for (const [id, region] of fragmentRegions) {
+            if (!region.start.isConnected)
+                fragmentRegions.delete(id);
+        }
+
+        for (const list of listBlocks) {
+            if (!list.start.isConnected)
+                listBlocks.delete(list);
+        }
+
+        for (const block of conditionalBlocks) {
+            if (!block.start.isConnected)
+                conditionalBlocks.delete(block);
+        }
+    }
+
+
+    /**
+     * Re-fetches a fragment region by id and swaps only its content.
+     * The cached response for its source is invalidated first.
+     *
+     * A newer reload of the same id supersedes one still in flight: the older
+     * one inserts nothing, fires no event and resolves to null.
+     *
+     * @param {string} id - The fragment id.
+     * @param {Object} [newParams] - Params to merge into the fragment's param-* values.
+     * @returns {Promise<Node[]|null>} The new nodes in the region, or null if not found or superseded.
+     */
+    async function reloadFragment(id, newParams = {}) {
+        const region = fragmentRegions.get(id);
+        if (!region || !region.start.isConnected) {
+            console.warn(`[Frontend] reloadFragment: no loaded fragment region with id "${id}"`);
+            return null;
+        }
+
+        // --- Rebuild the <fragment> element from the recorded source ---
+        const el = region.source.cloneNode(true);
+        for (const [key, value] of Object.entries(newParams || {})) {
+            el.setAttribute(`param-${key}`, value);
+        }
+
+        const src = el.getAttribute("src");
+        if (src)
+            fetchCache.delete(resolveURL(src));
+
+        // --- Swap old nodes for the placeholder, then load as usual ---
+        const token = {};
+        region.reloadToken = token;
+
+        teardownNodes(getRegionNodes(region));
+        markRuntimeNodes([el]);
+        region.end.before(el);
+
+        await loadFragmentList([el]);
+
+        if (region.reloadToken !== token)
+            return null;
+
+        const nodes = getRegionNodes(region);
+        dispatch("fragment:reloaded", { id, src, nodes });
+        return nodes;
+    }
+
+
+    /**
+     * Points a fragment region at a new source URL and reloads it.
+     *
+     * @param {string} id - The fragment id.
+     * @param {string} newSrc - The new source URL.
+     * @returns {Promise<Node[]|null>} The new nodes in the region, or null if not found.
+     */
+    function replaceFragmentSource(id, newSrc) {
+        const region = fragmentRegions.get(id);
+        if (!region) {
+            console.warn(`[Frontend] replaceFragmentSource: no loaded fragment region with id "${id}"`);
+            return Promise.resolve(null);
+        }
+
+        region.source.setAttribute("src", newSrc);
+        return reloadFragment(id);
+    }
+
+
+    /***************************************************************************************
+     *
+     * List Rendering Functions
+     * ------------------------
+     * A <for-each> element renders a state array by stamping a template once per item.
+     * It is replaced by a pair of comment anchors, and each row starts with its own
+     * anchor, keyed by the item's `item-key` property (or its index):
+     *
+     *   <!--for-each:todos--> <!--item:1--> ...row... <!--item:7--> ...row... <!--/for-each:todos-->
+     *
+     * When the array changes, rows are matched by key: new items are stamped, removed
+     * items are torn down, moved items are moved, and only rows whose item changed
+     * are re-rendered.
+     *
+     **************************************************************************************/
+
+    /** Mounted lists, checked against every state change */
+    const listBlocks = new Set();
+
+    /** Row key used for the empty-state template */
+    const EMPTY_ROW = Symbol("empty");
+
+
+    /**
+     * Renders all <for-each> elements inside the given root.
+     * Skips any lists that are nested inside <code> blocks.
+     *
+     * @param {ParentNode} root
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     */
+    async function loadLists(root = document, stats = { count: 0, failed: 0 }) {
+        const lists = Array.from(root.querySelectorAll("for-each"))
+            .filter(el => !el.closest("code"));
+
+        for (const el of lists) {
+            if (!root.contains(el))
+                continue;
+
+            await mountList(el, stats);
+        }
+    }
+
+
+    /**
+     * Renders any <for-each> elements found in (or being) the given nodes.
+     *
+     * @param {Node[]} nodes - Nodes that were just inserted into the document.
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     */
+    async function loadNestedLists(nodes, stats = { count: 0, failed: 0 }) {
+        for (const n of nodes) {
+            if (n.nodeType !== Node.ELEMENT_NODE || !n.isConnected)
+                continue;
+
+            if (n.tagName.toLowerCase() === "for-each") {
+                await mountList(n, stats);
+            } else {
+                await loadLists(n, stats);
+            }
+        }
+    }
+
+
+    /**
+     * Replaces a <for-each> element with its anchors and renders the current items.
+     *
+     * @param {Element} el - The <for-each> element.
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     */
+    function mountList(el, stats) {
+        const list = getListData(el);
+        if (!list) {
+            el.remove();
+            return Promise.resolve(stats);
+        }
+
+        list.start = document.createComment(`for-each:${list.key}`);
+        list.end = document.createComment(`/for-each:${list.key}`);
+        list.rows = new Map();      // row key → { start, sig }
+        list.anchors = new Set();   // row start comments, i.e. row boundaries
+        list.scheduled = false;
+
+        el.replaceWith(list.start, list.end);
+        listBlocks.add(list);
+
+        return syncList(list, stats);
+    }
+
+
+    /**
+     * Queues a re-render of every list affected by a change at `path`
+     * (the array itself, anything inside it, or one of its ancestors).
+     * Several changes in the same task are coalesced into one pass.
+     *
+     * @param {string} path - The state path that changed.
+     */
+    function scheduleListUpdates(path) {
+        for (const list of listBlocks) {
+            if (list.scheduled)
+                continue;
+
+            if (path === list.key || path.startsWith(list.key + ".") || list.key.startsWith(path + ".")) {
+                list.scheduled = true;
+                queueMicrotask(() => syncList(list));
+            }
+        }
+    }
+
+
+    /**
+     * Brings a list's rows in line with the array currently in state.
+     *
+     * A row is re-rendered when its item's content changes, or when its index
+     * changes and the template uses {{index}} or {{item_path}}.
+     *
+     * @param {Object} list - The list context object.
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     * @returns {Promise<{count: number, failed: number}>}
+     */
+    async function syncList(list, stats = { count: 0, failed: 0 }) {
+        list.scheduled = false;
+
+        if (!list.start.isConnected) {
+            listBlocks.delete(list);
+            return stats;
+        }
+
+        const tmpl = getTemplate(list.template);
+        if (!tmpl) {
+            console.error(`[Frontend] <for-each key="${list.key}">: template "${list.template}" not found`);
+            return stats;
+        }
+
+        const entries = getListEntries(list, tmpl.innerHTML);
+
+        // --- Tear down rows whose key is gone ---
+        const keep = new Set(entries.map(e => e.key));
+        for (const [key, row] of list.rows) {
+            if (keep.has(key))
+                continue;
+
+            teardownNodes(getRowNodes(list, row));
+            list.anchors.delete(row.start);
+            list.rows.delete(key);
+        }
+
+        // --- Place rows in order, stamping new or changed ones ---
+        const inserted = [];
+        let cursor = list.start;
+
+        for (const entry of entries) {
+            let row = list.rows.get(entry.key);
+
+            if (row && row.sig !== entry.sig) {
+                teardownNodes(getRowNodes(list, row).slice(1));
+                row = { start: row.start, sig: entry.sig, stale: true };
+                list.rows.set(entry.key, row);
+            } else if (!row) {
+                const label = entry.key === EMPTY_ROW ? "empty" : `item:${entry.key}`;
+                row = { start: document.createComment(label), sig: entry.sig, stale: true };
+                list.rows.set(entry.key, row);
+            }
+
+            if (cursor.nextSibling !== row.start) {
+                cursor.after(...(row.start.isConnected ? getRowNodes(list, row) : [row.start]));
+            }
+            list.anchors.add(row.start);
+
+            if (row.stale) {
+                const placeholder = document.createComment("");
+                row.start.after(placeholder);
+                inserted.push(...parseFragment(substituteParams(entry.html(), entry.params), { el: placeholder }));
+                row.stale = false;
+            }
+
+            cursor = getRowNodes(list, row).pop();
+        }
+
+        // --- Nested lists, components & fragments in the new rows ---
+        await loadNestedContent(inserted, stats);
+
+        return stats;
+    }
+
+
+    /**
+     * Works out the rows a list should show: one entry per array item (or a
+     * single empty-state entry), each with its key, render signature and params.
+     *
+     * @param {Object} list  - The list context object.
+     * @param {string} html  - The row template HTML.
+     * @returns {Array<{key: *, sig: *, params: Object, html: Function}>}
+     */
+    function getListEntries(list, html) {
+        const value = getData(list.key);
+        const items = Array.isArray(value) ? value : [];
+
+        if (value != null && !Array.isArray(value)) {
+            console.warn(`[Frontend] <for-each key="${list.key}">: value is not an array`, value);
+        }
+
+        if (items.length === 0) {
+            const emptyTmpl = list.empty ? getTemplate(list.empty) : null;
+            if (list.empty && !emptyTmpl) {
+                console.error(`[Frontend] <for-each key="${list.key}">: empty template "${list.empty}" not found`);
+            }
+            return emptyTmpl ? [{ key: EMPTY_ROW, sig: "", params: {}, html: () => emptyTmpl.innerHTML }] : [];
+        }
+
+        const usesIndex = /{{[^{}]*\b(index|item_path)\b[^{}]*}}/.test(html);
+        const seen = new Set();
+
+        return items.map((item, index) => {
+            let key = list.itemKey ? item?.[list.itemKey] : index;
+
+            if (key == null || seen.has(key)) {
+                console.warn(`[Frontend] <for-each key="${list.key}">: missing or duplicate item-key at index ${index}`);
+                key = `#${index}`;
+            }
+            seen.add(key);
+
+            let sig;
+            try {
+                sig = JSON.stringify(item) + (usesIndex ? `@${index}` : "");
+            } catch {
+                sig = {}; // unserializable → always re-render
+            }
+
+            const params = flattenParams(item, "item");
+            params.index = index;
+            params.item_key = key;
+            params.item_path = `${list.key}.${index}`;
+
+            return { key, sig, params, html: () => html };
+        });
+    }
+
+
+    /**
+     * Returns a row's nodes: its start anchor up to the next row or the list end.
+     *
+     * @param {Object} list
+     * @param {Object} row
+     * @returns {Node[]}
+     */
+    function getRowNodes(list, row) {
+        const nodes = [row.start];
+        for (let n = row.start.nextSibling; n && n !== list.end && !list.anchors.has(n); n = n.nextSibling) {
+            nodes.push(n);
+        }
+        return nodes;
+    }
+
+
+    /**
+     * Flattens a value into {{placeholder}} params: `prefix` maps to the value
+     * itself and every nested property to `prefix.path.to.prop`.
+     *
+     * @param {*} value
+     * @param {string} prefix
+     * @param {Object} [out={}]
+     * @param {WeakSet} [seen] - Guards against circular references.
+     * @returns {Object}
+     */
+    function flattenParams(value, prefix, out = {}, seen = new WeakSet()) {
+        out[prefix] = value;
+
+        if (value && typeof value === "object" && !seen.has(value)) {
+            seen.add(value);
+            for (const [k, v] of Object.entries(value)) {
+                flattenParams(v, `${prefix}.${k}`, out, seen);
+            }
+        }
+
+        return out;
+    }
+
+
+    /***************************************************************************************
+     *
+     * Conditional Block Functions
+     * ---------------------------
+     * An <if> element mounts one of two branches depending on state, and swaps them
+     * whenever the paths it watches change:
+     *
+     *   <if key="user.loggedIn"> ...then... <else> ...else... </else></if>
+     *
+     * The element is replaced by comment anchors and its branches are kept as HTML,
+     * so the inactive branch is never in the document. Mounting a branch runs it
+     * through the fragment pipeline (behaviors, triggers, bindings, scripts, nested
+     * lists, components and fragments); unmounting tears it down.
+     *
      **************************************************************************************/
 
+    /** Captured <if> blocks, checked against every state change */
+    const conditionalBlocks = new Set();
+
+
+    /**
+     * Captures every outermost <if> element inside the given root.
+     * Nested <if> elements are captured later, when their branch mounts.
+     * Skips any blocks that are nested inside <code> blocks, and those inside a
+     * <fragment> that has not rendered yet: its content (or inline fallback) is
+     * captured when it renders.
+     *
+     * @param {ParentNode} root
+     */
+    function captureConditionals(root = document) {
+        const blocks = Array.from(root.querySelectorAll("if"))
+            .filter(el => !el.closest("code") && !el.closest("fragment[src]") && !el.parentElement?.closest("if"));
+
+        for (const el of blocks) {
+            captureConditional(el);
+        }
+    }
+
+
+    /**
+     * Replaces an <if> element with its anchors and records its branches.
+     * The block stays pending until mountPendingConditionals() evaluates it.
+     *
+     * @param {Element} el - The <if> element.
+     */
+    function captureConditional(el) {
+        const block = getConditionalData(el);
+        if (!block) {
+            el.remove();
+            return;
+        }
+
+        block.start = document.createComment(`if:${block.keys.join(" ")}`);
+        block.end = document.createComment(`/if:${block.keys.join(" ")}`);
+        block.branch = undefined;   // "then" | "else" once mounted
+        block.scheduled = false;
+
+        el.replaceWith(block.start, block.end);
+        conditionalBlocks.add(block);
+    }
+
+
+    /**
+     * Evaluates and mounts every captured block that is in the document
+     * but has not been evaluated yet.
+     *
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     * @returns {Promise<{count: number, failed: number}>}
+     */
+    async function mountPendingConditionals(stats = { count: 0, failed: 0 }) {
+        for (const block of conditionalBlocks) {
+            if (block.branch === undefined && block.start.isConnected)
+                await syncConditional(block, stats);
+        }
+
+        return stats;
+    }
+
+
+    /**
+     * Queues a re-evaluation of every block that watches a path affected by
+     * a change at `path` (the path itself, a descendant or an ancestor).
+     *
+     * @param {string} path - The state path that changed.
+     */
+    function scheduleConditionalUpdates(path) {
+        for (const block of conditionalBlocks) {
+            if (block.scheduled || block.branch === undefined)
+                continue;
+
+            const affected = block.keys.some(key =>
+                path === key || path.startsWith(key + ".") || key.startsWith(path + "."));
+
+            if (affected) {
+                block.scheduled = true;
+                queueMicrotask(() => syncConditional(block));
+            }
+        }
+    }
+
+
+    /**
+     * Mounts the branch a block's condition currently selects, tearing down
+     * the other one. Does nothing if the selected branch is already mounted.
+     *
+     * @param {Object} block - The conditional context object.
+     * @param {{count: number, failed: number}} [stats] - Accumulates nested fragment results.
+     * @returns {Promise<{count: number, failed: number}>}
+     */
+    async function syncConditional(block, stats = { count: 0, failed: 0 }) {
+        block.scheduled = false;
+
+        if (!block.start.isConnected) {
+            conditionalBlocks.delete(block);
+            return stats;
+        }
+
+        const branch = evaluateConditional(block) ? "then" : "else";
+        if (branch === block.branch)
+            return stats;
+
+        teardownNodes(getRegionNodes(block));
+        block.branch = branch;
+
+        const html = getConditionalBranchHTML(block, branch);
+        if (!html)
+            return stats;
+
+        const placeholder = document.createComment("");
+        block.end.before(placeholder);
+        const newNodes = parseFragment(html, { el: placeholder });
+
+        await loadNestedContent(newNodes, stats);
+
+        return stats;
+    }
+
+
+    /**
+     * Evaluates a block's condition against the current state.
+     *
+     * Without a `condition`, every watched path must hold a truthy value.
+     * With one, the expression decides; it sees `value` (the first path's value),
+     * `values` (all of them, in order) and `el` (the original <if> element).
+     *
+     * @param {Object} block
+     * @returns {boolean}
+     */
+    function evaluateConditional(block) {
+        const values = block.keys.map(key => getData(key));
+
+        if (!block.condition)
+            return values.every(Boolean);
+
+        try {
+            return !!new Function("value", "values", "el", `return (${block.condition});`)(values[0], values, block.el);
+        } catch (e) {
+            console.error("[Frontend] Invalid <if> condition:", block.condition, e);
+            return false;
+        }
+    }
+
+
+    /**
+     * Returns the HTML for one of a block's branches: the named template when
+     * `template` / `else-template` is set, otherwise the inline markup.
+     *
+     * @param {Object} block
+     * @param {"then"|"else"} branch
+     * @returns {string}
+     */
+    function getConditionalBranchHTML(block, branch) {
+        const templateID = branch === "then" ? block.template : block.elseTemplate;
+        if (!templateID)
+            return branch === "then" ? block.html : block.elseHtml;
+
+        const tmpl = getTemplate(templateID);
+        if (!tmpl) {
+            console.error(`[Frontend] <if key="${block.keys.join(" ")}">: template "${templateID}" not found`);
+            return "";
+        }
+
+        return tmpl.innerHTML;
+    }
+
+
+    async function loadTemplateLinks(root = document) {
+        const templateLinks = Array.from(root.querySelectorAll('link[type="templates"][src]:not([data-loaded])'));
+
+        // --- Load from <link type="templates" src="..."> ---
+        if (templateLinks.length === 0)
+            return;
+
+
+        for (const link of templateLinks) {
+            const src = link.getAttribute('src');
+            if (!src)
+                continue;
+
+            try {
+                const html = await fetchText(src);
+                link.dataset.loaded = "true";
+
+                // Parse fetched HTML
+                const wrapper = document.createElement('div');
+                wrapper.innerHTML = html;
+
+                // Grab all <template id="..."> elements
+                const templates = Array.from(wrapper.querySelectorAll('template[id]'));
+                if (templates.length === 0) {
+                    console.warn(`[Frontend] No <template id="..."> found in ${src}`);
+                    continue;
+                }
+
+                for (const tmpl of templates) {
+                    moveTemplateToGlobal(tmpl, getTemplatesContainer());
+                }
+
+
+                console.log(`[Frontend] Loaded ${templates.length} templates from: ${src}`);
+
+
+            } catch (e) {
+                console.error(`[Frontend] Failed to load templates from ${src}:`, e);
+            }
+        }
+    }
+
+    /**
+     * Loads all <template> and <templates> elements within the given root,
+     * ensuring a single <templates id="templates"> container exists at the
+     * end of <body>. Deduplicates template IDs intelligently.
+     */
+    async function loadTemplates(root = document) {
+        const allContainers = Array.from(root.querySelectorAll("templates"));
+        const allTemplates = Array.from(root.querySelectorAll("template"));
+
+        // --- Find or create the global <templates id="templates"> container ---
+        const docTemplateContainer = getTemplatesContainer();
+
+        // --- Append it to the end of <body> if not already there ---
+        if (document.body.lastElementChild !== docTemplateContainer) {
+            document.body.appendChild(docTemplateContainer);
+        }
+
+        // --- Move all discovered <template> elements into the global container ---
+        for (const tmpl of allTemplates) {
+            const id = tmpl.id?.trim();
+
+            // Skip templates without IDs
+            if (!id) {
+                console.warn("[Frontend] Ignored <template> without id:", tmpl);
+                continue;
+            }
+
+            // Skip duplicates intelligently — prefer first seen
+            const existing = docTemplateContainer.querySelector(`template#${CSS.escape(id)}`);
+            if (existing) {
+                // Compare content to see if they differ
+                if (existing.innerHTML !== tmpl.innerHTML) {
+                    console.warn(`[Frontend] Duplicate template id "${id}" detected — kept first, ignored new one.`);
+                }
+                continue;
+            }
+
+            docTemplateContainer.appendChild(tmpl);
+        }
+
+        // --- Remove all <templates> containers found under this root (cleanup) ---
+        for (const container of allContainers) {
+            if (container !== docTemplateContainer)
+                container.remove();
+        }
+
+
+    }
+
+
+    /**
+     * Instantiates a template into a destination element.
+     *
+     * @param {string} destinationID - The id of the destination element.
+     * @param {string} templateID - The id of the <template> to instantiate.
+     * @param {Object} [params={}] - Optional key/value params for substitution.
+     * @param {boolean} [clearParent=false] - If true, clears destination before inserting.
+     */
+    async function loadComponent(destinationID, templateID, params = {}, clearParent = false) {
+
+        // --- Find destination ---
+        const destination = document.getElementById(destinationID);
+        if (!destination) {
+            console.warn(`[Frontend] loadComponent: destination element not found: "${destinationID}"`);
+            return;
+        }
+
+        // --- Find template ---
+        const templateContainer = document.querySelector("templates#templates");
+        if (!templateContainer) {
+            console.error("[Frontend] loadComponent: global templates container not found.");
+            return;
+        }
+
+        const tmpl = templateContainer.querySelector(`template#${CSS.escape(templateID)}`);
+        if (!tmpl) {
+            console.error(`[Frontend] loadComponent: template "${templateID}" not found.`);
+            return;
+        }
+
+        // --- Clone the template content ---
+        const html = tmpl.innerHTML;
+        if (!html.trim()) {
+            console.warn(`[Frontend] loadComponent: template "${templateID}" is empty.`);
+            const old = Array.from(destination.childNodes);
+            destination.innerHTML = "";
+            releaseNodes(old);
+            return;
+        }
+
+        // --- Param substitution ---
+        const substituted = substituteParams(html, params || {});
+
+        // --- Parse substituted HTML into DOM nodes ---
+        const wrapper = document.createElement("div");
+        wrapper.innerHTML = substituted;
+
+        // --- Compile behaviors, triggers & bindings before insertion ---
+        captureConditionals(wrapper);
+        applyBehaviors(wrapper);
+        buildTriggers(wrapper);
+        buildDataBindings(wrapper);
+
+        const newNodes = Array.from(wrapper.childNodes);
+
+        // --- Insert into destination ---
+        if (clearParent) {
+            const old = Array.from(destination.childNodes);
+            destination.innerHTML = "";
+            releaseNodes(old);
+        }
+
+        markRuntimeNodes(newNodes);
+        destination.append(...newNodes);
+
+        await mountPendingConditionals();
+
+    }
+
+
+
+    /***************************************************************************************
+     *
+     * Internal Data Utility Functions
+     * -------------------------------
+     * 
+     * getComponentData
+     * getFragmentData
+     * getTriggerData
+     * getDataBindingData
+     * getListData
+     * getConditionalData
+     * 
+     **************************************************************************************/
+
+    /**
+     * Extracts metadata and parameters from a <component> element
+     * into a normalized component context object.
+     *
+     * Components are lightweight instances of templates, created
+     * declaratively in the DOM and parameterized via `param-*` attributes.
+     *
+     * @param {Element} el - The <component> element.
+     * @returns {Object|null} Component context containing:
+     *   - {Element} el           The <component> element itself
+     *   - {string|null} id       Optional unique identifier
+     *   - {string|null} template The template-id to instantiate (required)
+     *   - {string|null} condition Optional JS condition to determine rendering
+     *   - {string|null} fallback  Optional fallback template-id or HTML path
+     *   - {string|null} onload    Optional onload handler
+     *   - {string|null} onerror   Optional onerror handler
+     *   - {boolean} cache         Whether caching is enabled (false if `no-cache` present)
+     *   - {Object} params         Collected param-* attributes + metadata
+     */
+    function getComponentData(el) {
+        if (!(el instanceof Element)) {
+            console.error("[Frontend] getComponentData() called with non-element:", el);
+            return null;
+        }
+
+        const id = el.id || null;
+        const template = el.getAttribute("template-id") ?? el.getAttribute("template");
+        const condition = el.getAttribute("condition");
+        const fallback = el.getAttribute("fallback");
+        const onload = el.getAttribute("onload");
+        const onerror = el.getAttribute("onerror");
+
+        if (!template) {
+            console.warn("[Frontend] <component> missing required template-id:", el);
+            return null;
+        }
+
+        // Boolean attribute: if <component no-cache>, then cache = false
+        const cache = !el.hasAttribute("no-cache");
+
+        // Gather param-* attributes like fragments do
+        const params = collectParams(el, template, id);
+
+        return { el, id, template, condition, fallback, onload, onerror, cache, params };
+    }
+
+
+
+    /**
+     * Extracts metadata and parameters from a <fragment> element
+     * into a normalized fragment context object.
+     *
+     * @param {Element} el - The <fragment> element.
+     * @returns {Object} Fragment context containing:
+     *   - {Element} el         The fragment element
+     *   - {string|null} id     Fragment id, if present
+     *   - {string} src         Main source URL
+     *   - {string|null} condition   Optional JS condition
+     *   - {string|null} fallback    Optional fallback URL
+     *   - {string|null} onload      Optional onload handler
+     *   - {string|null} onerror     Optional onerror handler
+     *   - {boolean} cache      Whether caching is enabled (false if `no-cache` present)
+     *   - {Object} params      Collected param-* attributes + metadata
+     */
+    function getFragmentData(el) {
+        if (!(el instanceof Element)) {
+            console.error("[Frontend] getFragmentData() called with non-element:", el);
+            return null;
+        }
+
+        const id = el.id || null;
+        const src = el.getAttribute("src");
+        const condition = el.getAttribute("condition");
+        const fallback = el.getAttribute("fallback");
+        const onload = el.getAttribute("onload");
+        const onerror = el.getAttribute("onerror");
+
+        // Boolean attribute: if <fragment no-cache>, then cache = false
+        const cache = !el.hasAttribute("no-cache");
+
+        const params = collectParams(el, src, id);
+
+        return { el, id, src, condition, fallback, onload, onerror, cache, params };
+    }
+
+    /**
+     * Extracts metadata and attributes from a <trigger> element
+     * into a normalized trigger context object.
+     *
+     * A <trigger> element defines a declarative event binding
+     * for its parent element, describing how it should react
+     * to a specific event on a source element.
+     *
+     * @param {Element} el - The <trigger> element.
+     * @returns {Object|null} Trigger context containing:
+     *   - {Element} el             The <trigger> element
+     *   - {Element|null} parent    The parent element that owns this trigger
+     *   - {string|null} from       CSS selector of source element (null = parent)
+     *   - {string|null} on         Event name (required)
+     *   - {string|null} target     CSS selector of target element (null = parent)
+     *   - {string|null} condition  Optional JS expression guard
+     *   - {string|null} action     JS expression or function body to execute
+     *   - {boolean} once           If true, the trigger runs only once
+     *   - {boolean} prevent        If true, calls e.preventDefault()
+     *   - {boolean} stop           If true, calls e.stopPropagation()
+     */
+    function getTriggerData(el) {
+        if (!(el instanceof Element)) {
+            console.error("[Frontend] getTriggerData() called with non-element:", el);
+            return null;
+        }
+
+        const parent = el.parentElement || null;
+
+        const on = el.getAttribute("on");
+        const key = el.getAttribute("key");
+        const target = el.getAttribute("target");
+        const condition = el.getAttribute("condition");
+        const action = el.getAttribute("action");
+
+        // Boolean modifiers
+        const once = el.hasAttribute("once");
+        const prevent = el.hasAttribute("prevent");
+        const stop = el.hasAttribute("stop");
+
+        if (!on || !action) {
+            console.warn("[Frontend] Ignored <trigger> missing 'on' or 'action':", el);
+            return null;
+        }
+
+        return {
+            el,
+            parent,
+            key: key || null,
+            on: on || null,
+            target: target || null,
+            condition: condition || null,
+            action: action || null,
+            once,
+            prevent,
+            stop
+        };
+    }
+
+    /**
+     * Extracts metadata from a <data-binding> element
+     * into a normalized binding context object.
+     *
+     * @param {Element} el - The <data-binding> element.
+     * @returns {Object|null} Binding context containing:
+     *   - {Element} el               The <data-binding> element
+     *   - {string} key               State path to bind (required)
+     *   - {string} target            Binding target (required): text, html, value, class,
+     *                                visible, style-<prop>, attr-<name> or attribute
+     *   - {string|null} attribute    Attribute name when target is "attribute"
+     *   - {string} mode              "one-way" (default) or "two-way" (form controls)
+     *   - {number|null} debounce     Two-way only: ms to wait before writing to state
+     *   - {string|null} type         Two-way only: coercion ("number", "boolean", "string")
+     */
+    function getDataBindingData(el) {
+        if (!(el instanceof Element)) {
+            console.error("[Frontend] getDataBindingData() called with non-element:", el);
+            return null;
+        }
+
+        const key = el.getAttribute("key");
+        const target = el.getAttribute("target");
+        const attribute = el.getAttribute("attribute");
+        const mode = el.getAttribute("mode") || "one-way";
+        const debounce = el.hasAttribute("debounce") ? Number(el.getAttribute("debounce")) || 0 : null;
+        const type = el.getAttribute("type");
+
+        if (!key || !target) {
+            console.warn("[Frontend] Ignored <data-binding> missing 'key' or 'target':", el);
+            return null;
+        }
+
+        if (target === "attribute" && !attribute) {
+            console.warn("[Frontend] Ignored <data-binding target=\"attribute\"> missing 'attribute':", el);
+            return null;
+        }
+
+        return { el, key, target, attribute: attribute || null, mode, debounce, type: type || null };
+    }
+
+
+    /**
+     * Extracts metadata from a <for-each> element
+     * into a normalized list context object.
+     *
+     * @param {Element} el - The <for-each> element.
+     * @returns {Object|null} List context containing:
+     *   - {Element} el               The <for-each> element
+     *   - {string} key               State path of the array to render (required)
+     *   - {string} template          Template id stamped once per item (required)
+     *   - {string|null} itemKey      Item property used to match rows across updates
+     *   - {string|null} empty        Template id rendered while the array is empty
+     */
+    function getListData(el) {
+        if (!(el instanceof Element)) {
+            console.error("[Frontend] getListData() called with non-element:", el);
+            return null;
+        }
+
+        const key = el.getAttribute("key");
+        const template = el.getAttribute("template");
+        const itemKey = el.getAttribute("item-key");
+        const empty = el.getAttribute("empty");
+
+        if (!key || !template) {
+            console.warn("[Frontend] Ignored <for-each> missing 'key' or 'template':", el);
+            return null;
+        }
+
+        return { el, key, template, itemKey: itemKey || null, empty: empty || null };
+    }
+
+
+    /**
+     * Extracts metadata and branch markup from an <if> element
+     * into a normalized conditional context object.
+     *
+     * @param {Element} el - The <if> element.
+     * @returns {Object|null} Conditional context containing:
+     *   - {Element} el                 The <if> element
+     *   - {string[]} keys              State paths to watch (space-separated `key`, required)
+     *   - {string|null} condition      Optional JS expression deciding the branch
+     *   - {string|null} template       Template id for the "then" branch (instead of inline markup)
+     *   - {string|null} elseTemplate   Template id for the "else" branch (instead of <else>)
+     *   - {string} html                Inline "then" markup (everything except <else>)
+     *   - {string} elseHtml            Inline <else> markup
+     */
+    function getConditionalData(el) {
+        if (!(el instanceof Element)) {
+            console.error("[Frontend] getConditionalData() called with non-element:", el);
+            return null;
+        }
+
+        const keys = (el.getAttribute("key") || "").split(/\s+/).filter(Boolean);
+        const condition = el.getAttribute("condition");
+        const template = el.getAttribute("template");
+        const elseTemplate = el.getAttribute("else-template");
+
+        if (keys.length === 0) {
+            console.warn("[Frontend] Ignored <if> missing 'key':", el);
+            return null;
+        }
+
+        const elseEl = Array.from(el.children).find(c => c.tagName.toLowerCase() === "else");
+        const elseHtml = elseEl ? elseEl.innerHTML : "";
+        elseEl?.remove();
+
+        return { el, keys, condition, template, elseTemplate, html: el.innerHTML, elseHtml };
+    }
+
+    /***************************************************************************************
+    *
+    * Behavior Utility Functions
+    * 
+    ***************************************************************************************/
+
+    /**
+     * Registers a single <behavior> element into the global behavior map.
+     * 
+     * - Extracts the id, its child <trigger> definitions and <data-binding> definitions.
+     * - Skips duplicates with a clear warning.
+     * - Re-applies behaviors to the document if elements were waiting on this id.
+     * 
+     * @param {Element} bEl - The <behavior> element.
+     * @param {string} [source="unknown"] - Optional label (e.g. "inline" or file path).
+     */
+    function registerBehaviorElement(bEl, source = "unknown") {
+
+        if (!(bEl instanceof Element)) {
+            console.error("[Frontend] registerBehaviorElement() called with non-element:", bEl);
+            return;
+        }
+
+        const id = bEl.id?.trim();
+
+        if (!id) {
+            console.warn(`[Frontend] Ignored <behavior> without id (${source})`);
+            return;
+        }
+
+        // --- Duplicate guard ---
+        if (Frontend._behaviors.has(id)) {
+            console.warn(`[Frontend] Duplicate behavior id "${id}" encountered in ${source} — skipped`);
+            return;
+        }
+
+        // --- Extract triggers & bindings ---
+        const triggers = findChildTriggers(bEl).map(getTriggerData).filter(Boolean);
+        const bindings = findChildDataBindings(bEl).map(getDataBindingData).filter(Boolean);
+        if (triggers.length === 0 && bindings.length === 0) {
+            console.warn(`[Frontend] Behavior "${id}" (${source}) has no triggers or bindings — skipped`);
+            return;
+        }
+
+        // --- Store in global registry ---
+        Frontend._behaviors.set(id, { triggers, bindings });
+        console.log(`[Frontend] Registered behavior "${id}" (${triggers.length} triggers, ${bindings.length} bindings) from ${source}`);
+
+        // --- Retry elements that referenced this id before it was known ---
+        if (pendingBehaviors.has(id)) {
+            pendingBehaviors.delete(id);
+            applyBehaviors(document);
+        }
+    }
+
+
+    /** Behavior ids referenced by elements but not (yet) registered. */
+    const pendingBehaviors = new Set();
+
+    /** Element → Set of behavior ids already applied to it. */
+    const appliedBehaviors = new WeakMap();
+
+
+    /**
+     * Applies registered behaviors to every element in a subtree that declares
+     * a `behavior="id1 id2"` attribute (including the root itself).
+     *
+     * Safe to call repeatedly: behaviors already applied to an element are skipped.
+     * Unknown ids are logged and retried once a behavior with that id registers.
+     *
+     * @param {ParentNode} root - The root element or document to scan.
+     */
+    function applyBehaviors(root = document) {
+
+        if (!Frontend._behaviors) Frontend._behaviors = new Map();
+
+        const elements = Array.from(root.querySelectorAll("[behavior]"));
+        if (root instanceof Element && root.hasAttribute("behavior"))
+            elements.unshift(root);
+
+        for (const el of elements) {
+            const ids = (el.getAttribute("behavior") || "").split(/\s+/).filter(Boolean);
+
+            // Compile the element's own <trigger> / <data-binding> children first:
+            // a behavior's text or html binding replaces the element's content
+            buildElementTriggers(el);
+            buildElementDataBindings(el);
+
+            let applied = appliedBehaviors.get(el);
+            if (!applied) {
+                applied = new Set();
+                appliedBehaviors.set(el, applied);
+            }
+
+            for (const id of ids) {
+                if (applied.has(id))
+                    continue;
+
+                const behavior = Frontend._behaviors.get(id);
+                if (!behavior) {
+                    if (!pendingBehaviors.has(id))
+                        console.warn(`[Frontend] Unknown behavior "${id}" — will retry when it is registered:`, el);
+                    pendingBehaviors.add(id);
+                    continue;
+                }
+
+                applyBehaviorToElement(el, behavior);
+                applied.add(id);
+            }
+        }
+    }
+
+
+    /**
+     * Merges a registered behavior's triggers and data bindings onto an element.
+     * Each element receives its own compiled copy, so instances never share state.
+     *
+     * @param {Element} el - The element declaring the behavior.
+     * @param {{triggers: Object[], bindings: Object[]}} behavior - The registry entry.
+     */
+    function applyBehaviorToElement(el, behavior) {
+        for (const t of behavior.triggers) {
+            applyTriggerData(el, t);
+        }
+
+        for (const b of behavior.bindings) {
+            applyDataBindingData(el, b);
+        }
+    }
+
+
+    /***************************************************************************************
+     *
+     * Trigger DOM Utility Functions
+     * 
+     ***************************************************************************************/
+
+    /**
+     * Recursively compiles all <trigger> elements within a subtree.
+     *
+     * @param {ParentNode} root - The root element or fragment wrapper to scan.
+     */
+    function buildTriggers(root = document) {
+
+        if (!(root instanceof Element) && root !== document) {
+            console.error("[Frontend] buildTriggers() called with non-element:", root);
+            return;
+        }
+
+        // --- Step 1: Build triggers for the root itself (if it has any immediate <trigger> children)
+        if (root instanceof Element && root.matches(':has(> trigger)')) {
+            buildElementTriggers(root);
+        }
+
+        // --- Step 2: Find all descendants that have immediate <trigger> children
+        const elementsWithTriggers = root.querySelectorAll(':has(> trigger)');
+
+        // --- Step 3: Apply triggers for each
+        elementsWithTriggers.forEach(el => buildElementTriggers(el));
+
+        // --- Step 4: Listen for any hand-written on-<event> attributes as well
+        listenForTriggerEvents(root);
+    }
+
+
+
+
+    /**
+     * Compiles all immediate <trigger> children of an element
+     * into executable attribute-based bindings.
+     *
+     * This is typically called during fragment parsing or component
+     * initialization to resolve declarative trigger markup into
+     * actual behavior definitions on the element.
+     *
+     * @param {Element} el - The element to process.
+     */
+    function buildElementTriggers(el) {
+        if (!(el instanceof Element)) {
+            console.error("[Frontend] buildElementTriggers() called with non-element:", el);
+            return;
+        }
+
+        // Step 1: Find all immediate <trigger> children
+        const triggers = findChildTriggers(el);
+        if (triggers.length === 0)
+            return;
+
+        // Step 2: Apply (compile) those triggers to the element
+        applyTriggersToElement(el, triggers);
+
+        // Step 3: Clean up any lingering <trigger> tags (defensive)
+        for (const trig of triggers) {
+            if (trig.parentNode === el) {
+                trig.remove();
+            }
+        }
+    }
+
+
+    /**
+     * Finds all immediate (non-nested) <trigger> elements
+     * that are direct children of a given parent element.
+     *
+     * This is used during parsing or initialization to attach
+     * triggers only to their owning element, not deeper descendants.
+     *
+     * Example:
+     *   <div>
+     *     <trigger on="click" do="..."></trigger>      ← included
+     *     <span><trigger on="click" do="..."></trigger></span>  ← excluded
+     *   </div>
+     *
+     * @param {Element} parent - The parent element to scan.
+     * @returns {Element[]} Ordered array of direct <trigger> elements.
+     */
+    function findChildTriggers(parent) {
+        if (!(parent instanceof Element)) {
+            console.error("[Frontend] findChildTriggers() called with non-element:", parent);
+            return [];
+        }
+
+        const triggers = [];
+
+        for (const child of parent.children) {
+            if (child.tagName.toLowerCase() === "trigger") {
+                triggers.push(child);
+            }
+        }
+
+        return triggers;
+    }
+
+
+
+    /**
+     * Translates <trigger> child elements into equivalent
+     * inline event or data attributes on the parent element.
+     *
+     * Each <trigger> element is consumed and removed after compilation.
+     *
+     * @param {Element} parent     The element to apply triggers to.
+     * @param {Element[]} triggers The immediate <trigger> child elements.
+     */
+    function applyTriggersToElement(parent, triggers) {
+
+        if (!(parent instanceof Element)) {
+            console.error("[Frontend] applyTriggersToElement() called with non-element:", parent);
+            return;
+        }
+
+        if (!Array.isArray(triggers) || triggers.length === 0)
+            return;
+
+        for (const trigEl of triggers) {
+            const t = getTriggerData(trigEl);
+            if (t) applyTriggerData(parent, t);
+
+            // Remove the trigger element after compilation
+            trigEl.remove();
+        }
+    }
+
+
+    /**
+     * Writes a single trigger context (from getTriggerData) onto an element
+     * as on-<event> attributes. If the element already has a trigger for that
+     * event (inline, from <trigger> or from another behavior), the new one is
+     * added to its extra triggers instead, so both run.
+     *
+     * @param {Element} parent - The element to apply the trigger to.
+     * @param {Object} t       - Trigger context object.
+     */
+    function applyTriggerData(parent, t) {
+
+        // Build a normalized attribute representation
+        // For example: <trigger on="click" do="..." condition="...">
+        // → <div on-click="..." on-click-condition="...">
+        const baseName = `on-${t.on}`;
+
+        if (parent.hasAttribute(baseName)) {
+            addExtraTrigger(parent, t);
+            return;
+        }
+
+        // Set primary action attribute
+        if (t.action) {
+            parent.setAttribute(baseName, t.action);
+        }
+
+        // Optional target/from scoping
+        if (t.key) {
+            parent.setAttribute(`${baseName}-key`, t.key);
+
+            if (baseName.startsWith("on-data-"))
+                indexElementPath(parent, `${baseName}-key`, t.key);
+        }
+        if (t.target) {
+            parent.setAttribute(`${baseName}-target`, t.target);
+        }
+        if (t.condition) {
+            parent.setAttribute(`${baseName}-condition`, t.condition);
+        }
+
+        // Boolean flags
+        if (t.once) parent.setAttribute(`${baseName}-once`, "");
+        if (t.prevent) parent.setAttribute(`${baseName}-prevent`, "");
+        if (t.stop) parent.setAttribute(`${baseName}-stop`, "");
+
+        // Make sure the delegated dispatcher is listening for this event
+        listenForTriggerEvent(t.on);
+    }
+
+
+    /**
+     * Keeps a second (third, ...) trigger for an event that the element already
+     * has an on-<event> attribute for. Data triggers are indexed under
+     * "on-data-<type>-key@<n>" so dispatchDataEvent() finds them next to the attribute one.
+     *
+     * @param {Element} el
+     * @param {Object} t - Trigger context object.
+     */
+    function addExtraTrigger(el, t) {
+        let list = extraTriggers.get(el);
+        if (!list) {
+            list = [];
+            extraTriggers.set(el, list);
+        }
+
+        const trigger = { ...t, el: undefined, parent: undefined, indexAttr: null };
+        list.push(trigger);
+
+        if (t.on.startsWith("data-")) {
+            if (t.key) {
+                trigger.indexAttr = `on-${t.on}-key@${++extraTriggerCount}`;
+                indexElementPath(el, trigger.indexAttr, t.key);
+            }
+            return;
+        }
+
+        listenForTriggerEvent(t.on);
+    }
+
+
+    /***************************************************************************************
+     *
+     * Trigger Runtime Functions
+     * -------------------------
+     * Compiled triggers live on elements as on-<event> attributes. A single delegated
+     * listener per event type on document finds the owning elements and runs them,
+     * so nodes injected later by fragments or components work without extra wiring.
+     * Further triggers for an event the element already handles are kept in
+     * extraTriggers and run after the attribute one.
+     *
+     **************************************************************************************/
+
+    /** Attribute suffixes written by applyTriggersToElement() next to on-<event>. */
+    const TRIGGER_MODIFIERS = ["key", "target", "condition", "once", "prevent", "stop"];
+
+    /** Element → Array<trigger context> of triggers beyond the on-<event> attribute ones */
+    const extraTriggers = new WeakMap();
+    let extraTriggerCount = 0;
+
+    /** Event types that already have a delegated listener on document. */
+    const triggerEventTypes = new Set();
+
+
+    /**
+     * Installs the delegated document listener for an event type (once per type).
+     *
+     * Bubbling events are handled in the bubble phase so element-level listeners
+     * still run first. Non-bubbling events (focus, mouseenter, ...) never reach
+     * document that way, so they are caught in the capture phase instead.
+     *
+     * @param {string} eventName - The DOM event type, e.g. "click".
+     */
+    function listenForTriggerEvent(eventName) {
+        if (!eventName || triggerEventTypes.has(eventName))
+            return;
+
+        triggerEventTypes.add(eventName);
+
+        document.addEventListener(eventName, handleTriggerEvent);
+        document.addEventListener(eventName, e => {
+            if (!e.bubbles) handleTriggerEvent(e);
+        }, true);
+    }
+
+
+    /**
+     * Scans a subtree for hand-written on-<event> attributes and makes sure
+     * the dispatcher listens for each event type found.
+     * on-data-* attributes belong to the state layer: their -key attributes
+     * are indexed for dispatchDataEvent() instead.
+     *
+     * @param {ParentNode} root - The root element or document to scan.
+     */
+    function listenForTriggerEvents(root = document) {
+        const elements = root instanceof Element
+            ? [root, ...root.querySelectorAll("*")]
+            : Array.from(root.querySelectorAll("*"));
+
+        for (const el of elements) {
+            for (const name of el.getAttributeNames()) {
+                // on-data-*-key attributes are indexed for dispatchDataEvent()
+                if (name.startsWith("on-data-")) {
+                    if (name.endsWith("-key"))
+                        indexElementPath(el, name, el.getAttribute(name));
+                    continue;
+                }
+
+                if (!name.startsWith("on-"))
+                    continue;
+
+                const suffix = TRIGGER_MODIFIERS.find(m => name.endsWith(`-${m}`));
+                const eventName = suffix
+                    ? name.slice(3, -(suffix.length + 1))
+                    : name.slice(3);
+
+                // Modifier attributes are only meaningful next to their action
+                if (suffix && !el.hasAttribute(`on-${eventName}`))
+                    continue;
+
+                listenForTriggerEvent(eventName);
+            }
+        }
+    }
+
+
+    /**
+     * Delegated handler: walks from the event target up through its ancestors
+     * and runs every compiled trigger for this event type.
+     * Non-bubbling events only run the trigger on the target itself.
+     *
+     * @param {Event} event
+     */
+    function handleTriggerEvent(event) {
+        const attr = `on-${event.type}`;
+
+        let el = event.target instanceof Element
+            ? event.target
+            : event.target?.parentElement ?? null;
+
+        while (el) {
+            if (el.hasAttribute(attr) || extraTriggers.get(el)?.some(t => t.on === event.type)) {
+                runElementTrigger(el, event);
+
+                // A trigger with `stop` ends the walk like real propagation would
+                if (event.cancelBubble)
+                    break;
+            }
+
+            if (!event.bubbles)
+                break;
+
+            el = el.parentElement;
+        }
+    }
+
+
+    /**
+     * Runs the compiled triggers for `event.type` on a single element:
+     * the on-<event> attribute one first, then any extra triggers.
+     *
+     * @param {Element} el
+     * @param {Event} event
+     */
+    function runElementTrigger(el, event) {
+        const baseName = `on-${event.type}`;
+
+        if (el.hasAttribute(baseName)) {
+            runTrigger(el, event, {
+                on: event.type,
+                action: el.getAttribute(baseName),
+                target: el.getAttribute(`${baseName}-target`),
+                condition: el.getAttribute(`${baseName}-condition`),
+                once: el.hasAttribute(`${baseName}-once`),
+                prevent: el.hasAttribute(`${baseName}-prevent`),
+                stop: el.hasAttribute(`${baseName}-stop`)
+            }, () => {
+                el.removeAttribute(baseName);
+                for (const m of TRIGGER_MODIFIERS) el.removeAttribute(`${baseName}-${m}`);
+            });
+        }
+
+        const extras = extraTriggers.get(el);
+        for (const t of extras?.filter(t => t.on === event.type) ?? []) {
+            runTrigger(el, event, t, () => extras.splice(extras.indexOf(t), 1));
+        }
+    }
+
+
+    /**
+     * Runs one trigger.
+     *
+     * The action and condition are executed with `this` bound to the element and
+     * the following variables available:
+     *   - event          The DOM event
+     *   - el             The element that owns the trigger
+     *   - targetElement  The element matched by the target selector (defaults to el)
+     *
+     * @param {Element} el
+     * @param {Event} event
+     * @param {Object} t           - { on, action, target, condition, once, prevent, stop }
+     * @param {Function} removeOnce - Removes the trigger after a `once` run.
+     */
+    function runTrigger(el, event, t, removeOnce) {
+        const baseName = `on-${t.on}`;
+        if (!t.action)
+            return;
+
+        // --- Resolve target (CSS selector, defaults to the owning element) ---
+        let targetElement = el;
+        if (t.target) {
+            try {
+                targetElement = document.querySelector(t.target);
+            } catch (e) {
+                console.error(`[Frontend] Invalid ${baseName}-target selector "${t.target}":`, e);
+                return;
+            }
+
+            if (!targetElement) {
+                console.warn(`[Frontend] ${baseName}-target element not found: "${t.target}"`);
+                return;
+            }
+        }
+
+        // --- Guard condition ---
+        if (t.condition) {
+            try {
+                const ok = new Function("event", "el", "targetElement", `return (${t.condition});`)
+                    .call(el, event, el, targetElement);
+                if (!ok)
+                    return;
+            } catch (e) {
+                console.error(`[Frontend] Invalid ${baseName}-condition:`, t.condition, e);
+                return;
+            }
+        }
+
+        // --- Modifiers ---
+        if (t.prevent) event.preventDefault();
+        if (t.stop) event.stopPropagation();
+        if (t.once) removeOnce();
+
+        // --- Run action ---
+        try {
+            new Function("event", "el", "targetElement", t.action).call(el, event, el, targetElement);
+        } catch (e) {
+            console.error(`[Frontend] Error in ${baseName} trigger:`, e);
+        }
+    }
+
+
+
+    async function buildDataBindings(root = document) {
+        // --- Step 1: Build triggers for the root itself (if it has any immediate <data-binding> children)
+        if (root instanceof Element && root.matches(':has(> data-binding)')) {
+            buildElementDataBindings(root);
+        }
+
+        // --- Step 2: Find all descendants that have immediate <data-binding> children
+        const elementsWithDataBindings = root.querySelectorAll(':has(> data-binding)');
+
+        // --- Step 3: Apply Data Bindings for each
+        elementsWithDataBindings.forEach(el => buildElementDataBindings(el));
+
+        // --- Step 4: Push current state into every data-bind-* element in the subtree
+        refreshDataBindings(root);
+    }
+
+    async function buildElementDataBindings(el) {
+
+        if (!(el instanceof Element)) {
+            console.error("[Frontend] buildElementDataBindings() called with non-element:", el);
+            return;
+        }
+
+        // Step 1: Find all immediate <data-binding> children
+        const bindings = findChildDataBindings(el);
+        if (bindings.length === 0)
+            return;
+
+        // Step 2: Apply (compile) those triggers to the element
+        applyDataBindingsToElement(el, bindings);
+
+        // Step 3: Clean up any lingering <data-bindings> tags 
+        for (const bind of bindings) {
+            if (bind.parentNode === el) {
+                bind.remove();
+            }
+        }
+    }
+
+    function findChildDataBindings(parent) {
+
+        if (!(parent instanceof Element)) {
+            console.error("[Frontend] findChildDataBindings() called with non-element:", parent);
+            return [];
+        }
+
+        const bindings = [];
+
+        for (const child of parent.children) {
+            if (child.tagName.toLowerCase() === "data-binding") {
+                bindings.push(child);
+            }
+        }
+
+        return bindings;
+    }
+
+    function applyDataBindingsToElement(parent, bindings) {
+        if (!(parent instanceof Element)) {
+            console.error("[Frontend] applyDataBindingsToElement() called with non-element:", parent);
+            return;
+        }
+
+        if (!Array.isArray(bindings) || bindings.length === 0)
+            return;
+
+        for (const binding of bindings) {
+            const b = getDataBindingData(binding);
+            if (b) applyDataBindingData(parent, b);
+
+            binding.remove();
+        }
+    }
+
+    /**
+     * Writes a single data binding context (from getDataBindingData) onto an element.
+     *
+     * @param {Element} parent - The element to bind.
+     * @param {Object} b       - Data binding context object.
+     */
+    function applyDataBindingData(parent, b) {
+
+        // mode="two-way" → data-model="key" (+ debounce / type options)
+        if (b.mode === "two-way") {
+            parent.setAttribute("data-model", b.key);
+            if (b.debounce !== null) parent.setAttribute("data-model-debounce", b.debounce);
+            if (b.type) parent.setAttribute("data-model-type", b.type);
+
+            bindElement(parent, "data-model", b.key);
+            return;
+        }
+
+        // target="attribute" attribute="open" → data-bind-attr-open
+        const target = b.target === "attribute" ? `attr-${b.attribute}` : b.target;
+
+        const baseName = `data-bind-${target}`;
+        parent.setAttribute(baseName, b.key);
+
+        bindElement(parent, baseName, b.key);
+    }
+
+
+    /**
+     * Indexes every data-bind-* / data-model attribute in a subtree (including the root
+     * element itself) and applies the current state value to it.
+     * Bindings whose path has no value yet are left untouched.
+     *
+     * @param {ParentNode} root - The root element or document to scan.
+     */
+    function refreshDataBindings(root = document) {
+        const elements = root instanceof Element
+            ? [root, ...root.querySelectorAll("*")]
+            : Array.from(root.querySelectorAll("*"));
+
+        for (const el of elements) {
+            for (const attr of Array.from(el.attributes)) {
+                if (!attr.name.startsWith("data-bind-") && attr.name !== "data-model") continue;
+
+                bindElement(el, attr.name, attr.value);
+            }
+        }
+    }
+
+    /**
+     * Indexes the hand-written data-bind-* / data-model and on-data-*-key
+     * attributes in markup that skips the full parseFragment() pass
+     * (Markdown fragments, data-bind-html content).
+     *
+     * @param {Element} root
+     */
+    function indexBindings(root) {
+        refreshDataBindings(root);
+        listenForTriggerEvents(root);
+    }
+
+    /**
+     * Collects params from a <fragment> element.
+     * - param-* attributes → { key: value }
+     * - frag_id (if present)
+     * - frag_src (always included)
+     */
+    function collectParams(frag, src, fragId) {
+        const params = {};
+        frag.getAttributeNames()
+            .filter(n => n.startsWith("param-"))
+            .forEach(n => params[n.replace("param-", "")] = frag.getAttribute(n));
+
+        if (fragId)
+            params.frag_id = fragId;
+
+        params.frag_src = src;
+        return params;
+    }
+
+    /***************************************************************************************
+     *
+     * Trigger Compilation Utility Functions
+     * 
+     ***************************************************************************************/
+
+
+
+
+    /**
+     * Determines which source URL to load for a fragment context.
+     *
+     * This function inspects the fragment’s `condition` and `fallback` attributes
+     * (already extracted into the fragment context object) and evaluates whether
+     * the main `src` should be used. The condition is executed as a JavaScript
+     * expression, with both the `frag` context object and its underlying element
+     * (`frag.el`) available as variables.
+     *
+     * Evaluation order:
+     *   1. If no `condition` is specified → use `src`.
+     *   2. If `condition` evaluates truthy → use `src`.
+     *   3. If `condition` evaluates falsy → use `fallback`, if provided.
+     *   4. If neither applies → return `null` (caller should remove the element).
+     *
+     * @param {Object} fragData
+     *        The fragment context object, expected to contain:
+     *          - {Element} el         The actual <fragment> element in the DOM.
+     *          - {string} src         The main source URL.
+     *          - {string|null} condition  Optional JavaScript expression to evaluate.
+     *          - {string|null} fallback   Optional fallback URL if the condition fails.
+     *
+     * @returns {string|null}
+     *          The resolved source URL to load, or `null` if no valid source applies.
+     *
+    */
+    function resolveFragmentSource(fragData) {
+
+        if (!fragData || typeof fragData !== "object" || !fragData.el) {
+            console.error("[Frontend] Invalid fragment context passed to resolveSource:", fragData);
+            return null;
+        }
+
+        const el = fragData.el;
+        const src = fragData.src ?? null;
+        const condition = fragData.condition ?? null;
+        const fallback = fragData.fallback ?? null;
+
+        if (!condition) {
+            return src;
+        }
+
+        try {
+            const ok = new Function("frag", "el", `return (${condition});`)(fragData, el);
+            if (ok) {
+                return src;
+            }
+        } catch (e) {
+            console.error("[Frontend] Invalid fragment condition:", condition, e);
+        }
+
+        if (fallback) {
+            return fallback;
+        }
+
+        return null;
+    }
+
+
+
+    /**
+     * Determines which template id to render for a component context.
+     *
+     * Evaluation order:
+     *   1. If `condition` is set and evaluates falsy → use `fallback` (or `null`).
+     *   2. If the main template does not exist → use `fallback`, if it exists.
+     *   3. Otherwise → use `template`.
+     *
+     * The condition has both `comp` (the component context) and `el` available.
+     *
+     * @param {Object} comp - The component context object (from getComponentData).
+     * @returns {string|null} The template id to render, or `null` to render nothing.
+     * @throws {Error} If the fallback it picks does not exist, or neither the
+     *                 template nor its fallback exists.
+     */
+    function resolveComponentTemplate(comp) {
+        const { el, template, condition, fallback } = comp;
+
+        if (condition) {
+            let ok = false;
+            try {
+                ok = new Function("comp", "el", `return (${condition});`)(comp, el);
+            } catch (e) {
+                console.error("[Frontend] Invalid component condition:", condition, e);
+            }
+
+            if (!ok && fallback && !getTemplate(fallback))
+                throw new Error(`Condition failed and fallback template "${fallback}" not found`);
+
+            if (!ok)
+                return fallback || null;
+        }
+
+        if (getTemplate(template))
+            return template;
+
+        if (fallback && getTemplate(fallback)) {
+            console.info(`[Frontend] Template "${template}" not found — using fallback "${fallback}"`);
+            return fallback;
+        }
+
+        if (fallback)
+            throw new Error(`Template "${template}" not found, and neither is its fallback "${fallback}"`);
+
+        throw new Error(`Template "${template}" not found`);
+    }
+
+
+    /**
+     * Looks up a <template> by id in the global <templates id="templates"> container.
+     *
+     * @param {string} templateID
+     * @returns {HTMLTemplateElement|null}
+     */
+    function getTemplate(templateID) {
+        const container = document.querySelector("templates#templates");
+        if (!container || !templateID)
+            return null;
+
+        return container.querySelector(`template#${CSS.escape(templateID)}`);
+    }
+
+
+    /**
+     * Fetches the HTML for a fragment source URL.
+     * Uses the shared fetch cache unless the fragment has `no-cache`.
+     *
+     * @param {Object} frag - The fragment context object.
+     * @param {string} [src=frag.src] - The resolved source URL (src or fallback).
+     * @returns {Promise<string>} The response body.
+     * @throws {Error} If the request fails (HTTP errors carry `err.status`).
+     */
+    function fetchFragment(frag, src = frag.src) {
+        return fetchText(src, { cache: frag.cache });
+    }
+
+
+    /***************************************************************************************
+     *
+     * Fetch Cache Functions
+     * ---------------------
+     * Fragments, template packs, behavior packs and code blocks all load through
+     * fetchText(). Responses are cached in memory by resolved URL, and concurrent
+     * requests for the same URL share a single in-flight fetch.
+     *
+     **************************************************************************************/
+
+    /** Resolved URL → { promise, expires } */
+    const fetchCache = new Map();
+
+
+    /**
+     * Fetches a URL as text through the shared cache.
+     *
+     * @param {string} src - The URL to fetch (relative URLs are resolved against the document).
+     * @param {Object} [options]
+     * @param {boolean} [options.cache=true] - Set to false to bypass the cache entirely.
+     * @param {number} [options.ttl=config.cacheTTL] - Freshness in ms (0 = until cleared).
+     * @returns {Promise<string>} The response body.
+     * @throws {Error} On network failure, or on HTTP errors (with `err.status` set).
+     */
+    function fetchText(src, { cache = true, ttl = config.cacheTTL } = {}) {
+
+        if (!cache)
+            return requestText(src);
+
+        const url = resolveURL(src);
+        const entry = fetchCache.get(url);
+
+        if (entry && (!entry.expires || entry.expires > Date.now()))
+            return entry.promise;
+
+        const promise = requestText(src);
+        fetchCache.set(url, { promise, expires: ttl > 0 ? Date.now() + ttl : 0 });
+
+        // Never keep failures around — the next request should retry
+        promise.catch(() => {
+            if (fetchCache.get(url)?.promise === promise)
+                fetchCache.delete(url);
+        });
+
+        return promise;
+    }
+
+
+    /**
+     * Performs the actual network request for fetchText(),
+     * waiting for a free slot under `config.maxConcurrentFetches`.
+     */
+    async function requestText(src) {
+        await acquireFetchSlot();
+
+        try {
+            const response = await fetch(src);
+
+            if (!response.ok) {
+                const err = new Error(`HTTP ${response.status} for ${src}`);
+                err.status = response.status;
+                throw err;
+            }
+
+            return await response.text();
+
+        } finally {
+            releaseFetchSlot();
+        }
+    }
+
+
+    let activeFetches = 0;
+    const fetchQueue = [];
+
+    /**
+     * Resolves once a network slot is available.
+     */
+    function acquireFetchSlot() {
+        const max = config.maxConcurrentFetches;
+
+        if (!(max > 0) || activeFetches < max) {
+            activeFetches++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => fetchQueue.push(resolve));
+    }
+
+    /**
+     * Hands the slot to the next queued request, or frees it.
+     */
+    function releaseFetchSlot() {
+        const next = fetchQueue.shift();
+        if (next) {
+            next(); // slot passes straight to the waiting request
+        } else {
+            activeFetches--;
+        }
+    }
+
+
+    /**
+     * Resolves a (possibly relative) URL against the document base URI.
+     */
+    function resolveURL(src) {
+        try {
+            return new URL(src, document.baseURI).href;
+        } catch {
+            return src;
+        }
+    }
+
+
+    /**
+     * Removes entries from the fetch cache.
+     *
+     * @param {string|RegExp} [pattern] - Optional filter. A string matches any resolved
+     *        URL containing it; a RegExp is tested against the resolved URL.
+     *        Omit to clear the whole cache.
+     * @returns {number} The number of entries removed.
+     */
+    function clearFragmentCache(pattern) {
+
+        if (pattern === undefined || pattern === null) {
+            const count = fetchCache.size;
+            fetchCache.clear();
+            return count;
+        }
+
+        let count = 0;
+        for (const url of Array.from(fetchCache.keys())) {
+            const match = pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern);
+            if (match) {
+                fetchCache.delete(url);
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+
+    /**
+     * Replaces a fragment element with its inline fallback content, if any.
+     * Returns null (so callers can handle consistently).
+     */
+    function useInlineFallback(frag) {
+        const src = frag.src;
+        const fragEl = frag.el;
+        const fallbackContent = fragEl.innerHTML.trim();
+
+        if (fallbackContent) {
+            console.info(`[Frontend] Using inline fallback for fragment: ${src}`);
+            const wrapper = document.createElement("div");
+            wrapper.innerHTML = fallbackContent;
+            captureConditionals(wrapper);
+            const newNodes = Array.from(wrapper.childNodes);
+            markRuntimeNodes(newNodes);
+            fragEl.replaceWith(...newNodes);
+            mountPendingConditionals();
+        } else {
+            console.warn(`[Frontend] No inline fallback for fragment: ${src}`);
+            fragEl.remove();
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Performs {{param}} substitution in a fragment’s HTML string.
+     * 
+     * Priority order:
+     *   1. Fragment-level params (from param-* attributes, frag_id, frag_src)
+     *   2. Global state values (via Frontend.getData)
+     *   3. Otherwise: leave the token untouched (e.g., {{key}})
+     * 
+     * Supports dot-notation paths (e.g., {{user.name}}), and expressions with
+     * filters (e.g., {{ price * qty | currency:'EUR' }}, see evaluatePlaceholder).
+     *
+     * Values are escaped for where the placeholder sits (see escapeForContext):
+     * text, quoted or unquoted attribute values, URL attributes, on* handlers
+     * and inline <script>. Trusted markup can be inserted raw with {{{key}}}
+     * or {{html:key}}.
+     * 
+     * @param {string} html   The raw HTML text to process.
+     * @param {Object} params Key-value pairs collected from the fragment element.
+     * @returns {string} The HTML string with placeholders replaced where possible.
+     *
+     * Example:
+     *   params = { theme: "dark", frag_id: "profile" }
+     *   state  = { user: { name: "<b>Alice</b>" } }
+     *
+     *   Input:  "<div class='{{theme}}'>{{user.name}} {{{user.name}}} ({{missing}})</div>"
+     *   Output: "<div class='dark'>&lt;b&gt;Alice&lt;/b&gt; <b>Alice</b> ({{missing}})</div>"
+     */
+    function substituteParams(html, params) {
+        const context = createContextScanner();
+        let out = "";
+        let last = 0;
+
+        // Built left to right so each value is escaped for the context of the output so far,
+        // which includes the values substituted before it (e.g. href="{{scheme}}{{rest}}")
+        for (const match of html.matchAll(/{{{([^{}]+?)}}}|{{\s*(html:)?([^{}]+?)}}/g)) {
+            const [token, rawSource, htmlPrefix, source] = match;
+            out += html.slice(last, match.index);
+            last = match.index + token.length;
+
+            const raw = rawSource !== undefined || htmlPrefix !== undefined;
+            const value = evaluatePlaceholder(rawSource ?? source, params);
+
+            // Unknown → leave token as-is
+            if (value === undefined)
+                out += token;
+            else
+                out += raw ? String(value) : escapeForContext(value, context.at(out));
+        }
+
+        return out + html.slice(last);
+    }
+
+
+    /**
+     * Looks up a placeholder key: explicit params first, then global state.
+     *
+     * @param {string} key
+     * @param {Object} params
+     * @returns {*} The value, or undefined if it is unknown (or null in state).
+     */
+    function resolvePlaceholder(key, params) {
+        // {{u.constructor}} must not reach Object / Function any more than {{u['constructor']}}
+        if (isBlockedPath(key)) return undefined;
+
+        // 1. Explicit fragment params take priority
+        if (params && Object.hasOwn(params, key)) return params[key];
+
+        // 2. Fallback to global state (dot paths supported)
+        const stateVal = getData(key);
+        if (stateVal !== undefined && stateVal !== null) return stateVal;
+
+        return undefined;
+    }
+
+
+    /**
+     * Escapes a substituted value for its context (from createContextScanner):
+     *
+     *   - text, comments           → &, <, >, ", ' become entities
+     *   - quoted attribute value   → same as text
+     *   - unquoted attribute value,
+     *     or inside a tag          → every character outside [A-Za-z0-9_.-] becomes an entity
+     *   - href/src/action/...      → if the attribute value so far plus this value starts with
+     *                                javascript:, vbscript: or data: (except data:image), the
+     *                                value becomes "about:invalid"
+     *   - on* handlers, <script>   → see escapeForScript, then entity escaped in attributes
+     *   - srcdoc                   → entity escaped twice: the attribute is decoded once and
+     *                                the result is parsed again as a document
+     *   - <style>                  → see escapeCSS (CSS never decodes entities)
+     *
+     * @param {*} value - The value to insert.
+     * @param {{type: string, attr?: string, quote?: string, prefix?: string}} context
+     * @returns {string}
+     */
+    function escapeForContext(value, context) {
+        const text = String(value);
+
+        switch (context.type) {
+            case "script":
+                return escapeForScript(value, context.prefix);
+
+            case "tag":
+                return encodeUnquoted(text);
+
+            case "style":
+                return escapeCSS(text);
+
+            case "attr":
+                break;
+
+            default:
+                return escapeHTML(text);
+        }
+
+        const name = context.attr;
+        const prefix = decodeEntities(context.prefix);
+        let result = text;
+
+        if (name.startsWith("on")) {
+            result = escapeForScript(value, prefix);
+        } else if (name === "srcdoc") {
+            result = escapeHTML(text);
+        } else if (URL_ATTRIBUTES.has(name)) {
+            const url = s => s.replace(/[\t\n\r]/g, "");
+
+            // A javascript: URL written in the template itself → the value is script
+            if (UNSAFE_URL.test(url(prefix)))
+                result = escapeForScript(value, prefix.slice(prefix.indexOf(":") + 1));
+            else if (UNSAFE_URL.test(url(prefix + text)))
+                result = "about:invalid";
+        }
+
+        return context.quote ? escapeHTML(result) : encodeUnquoted(result);
+    }
+
+    /** Attributes whose value is navigated to or fetched */
+    const URL_ATTRIBUTES = new Set(["href", "src", "action", "formaction", "xlink:href", "poster", "srcset", "data"]);
+
+    /** URL schemes that execute code (data:image/* is allowed) */
+    const UNSAFE_URL = /^[\s\u0000-\u001f]*(?:javascript|vbscript|data(?!:image\/))\s*:/i;
+
+    /** Elements whose content is not parsed as markup */
+    const RAW_TEXT_ELEMENTS = new Set(["script", "style", "textarea", "title"]);
+
+
+    /**
+     * Escapes a value for JavaScript source (inline <script>, on* handlers).
+     * Inside a string literal or comment it is string-escaped; anywhere else it
+     * becomes a complete literal — numbers and booleans as-is, everything else
+     * as a quoted string — so `select({{id}})` cannot grow extra statements.
+     *
+     * @param {*} value
+     * @param {string} prefix - The script source before the placeholder.
+     * @returns {string}
+     */
+    function escapeForScript(value, prefix) {
+        if (scanScriptContext(prefix) !== "code")
+            return escapeJSString(String(value));
+
+        if (typeof value === "boolean" || (typeof value === "number" && Number.isFinite(value)))
+            return String(value);
+
+        return `"${escapeJSString(String(value))}"`;
+    }
+
+
+    /**
+     * Tells whether the end of a piece of JavaScript is inside a string literal,
+     * a comment, or plain code. Template literals and their ${ } parts are followed;
+     * regex literals are not recognized.
+     *
+     * @param {string} source
+     * @returns {"code"|"string"|"comment"}
+     */
+    function scanScriptContext(source) {
+        // Each frame: "code" (with its open-brace depth), "'", '"', "`", "//" or "/*"
+        const stack = [{ mode: "code", braces: 0 }];
+
+        for (let i = 0; i < source.length; i++) {
+            const frame = stack[stack.length - 1];
+            const c = source[i];
+
+            switch (frame.mode) {
+                case "code":
+                    if (c === "'" || c === '"' || c === "`") {
+                        stack.push({ mode: c });
+                    } else if (c === "/" && (source[i + 1] === "/" || source[i + 1] === "*")) {
+                        stack.push({ mode: c + source[++i] });
+                    } else if (c === "{") {
+                        frame.braces++;
+                    } else if (c === "}") {
+                        // Closes the ${ } of an enclosing template literal
+                        if (frame.braces === 0 && stack.length > 1) stack.pop();
+                        else frame.braces = Math.max(0, frame.braces - 1);
+                    }
+                    break;
+
+                case "'":
+                case '"':
+                    if (c === "\\") i++;
+                    else if (c === frame.mode || c === "\n") stack.pop();
+                    break;
+
+                case "`":
+                    if (c === "\\") i++;
+                    else if (c === "`") stack.pop();
+                    else if (c === "$" && source[i + 1] === "{") {
+                        stack.push({ mode: "code", braces: 0 });
+                        i++;
+                    }
+                    break;
+
+                case "//":
+                    if (c === "\n") stack.pop();
+                    break;
+
+                case "/*":
+                    if (c === "*" && source[i + 1] === "/") {
+                        stack.pop();
+                        i++;
+                    }
+                    break;
+            }
+        }
+
+        const mode = stack[stack.length - 1].mode;
+        return mode === "code" ? "code" : mode.startsWith("/") ? "comment" : "string";
+    }
+
+
+    /**
+     * Creates a tokenizer that follows HTML markup as it is built up, so each
+     * placeholder can be escaped for where it lands. `at(html)` resumes from where
+     * the previous call stopped; `html` must extend the string passed before.
+     *
+     * Context types: "text", "comment", "tag" (between attributes), "attr" (inside
+     * an attribute value; with attr, quote and the value so far as prefix) and
+     * "script" (inside an inline <script>; with the source so far as prefix).
+     * <style>, <textarea> and <title> content counts as text.
+     *
+     * @returns {{at: function(string): Object}}
+     */
+    function createContextScanner() {
+        let state = "text";
+        let pos = 0;
+        let tagStart = 0;       // "<" of the current tag
+        let nameStart = 0;      // first character of the tag / attribute name
+        let tag = "";           // lowercased tag name
+        let closing = false;    // inside </tag>
+        let attr = "";          // lowercased attribute name
+        let quote = "";         // quote of the current attribute value ("" = unquoted)
+        let valueStart = 0;     // first character of the attribute value
+        let rawTag = "";        // raw text element we are inside of
+        let rawStart = 0;       // first character of its content
+
+        const isSpace = c => /\s/.test(c);
+        const isLetter = c => /[A-Za-z]/.test(c);
+
+        function endTag(i) {
+            if (!closing && RAW_TEXT_ELEMENTS.has(tag)) {
+                state = "raw";
+                rawTag = tag;
+                rawStart = i + 1;
+            } else {
+                state = "text";
+            }
+        }
+
+        function step(html, i) {
+            const c = html[i];
+
+            switch (state) {
+                case "text":
+                    if (c === "<") {
+                        state = "tagOpen";
+                        tagStart = i;
+                    }
+                    break;
+
+                case "tagOpen":
+                    if (isLetter(c)) {
+                        state = "tagName";
+                        nameStart = i;
+                        closing = false;
+                    } else if (c === "/") {
+                        state = "endTagOpen";
+                    } else if (c === "!" || c === "?") {
+                        state = "bang";
+                    } else if (c !== "<") {
+                        state = "text";
+                    }
+                    break;
+
+                case "endTagOpen":
+                    if (isLetter(c)) {
+                        state = "tagName";
+                        nameStart = i;
+                        closing = true;
+                    } else {
+                        state = c === ">" ? "text" : "bang";
+                    }
+                    break;
+
+                case "bang":
+                    if (html.slice(tagStart, i + 1) === "<!--") state = "comment";
+                    else if (c === ">") state = "text";
+                    break;
+
+                case "comment":
+                    if (c === ">" && html.slice(i - 2, i) === "--") state = "text";
+                    break;
+
+                case "tagName":
+                    if (isSpace(c) || c === "/" || c === ">") {
+                        tag = html.slice(nameStart, i).toLowerCase();
+                        if (c === ">") endTag(i);
+                        else state = "beforeAttr";
+                    }
+                    break;
+
+                case "beforeAttr":
+                    if (c === ">") endTag(i);
+                    else if (!isSpace(c) && c !== "/") {
+                        state = "attrName";
+                        nameStart = i;
+                    }
+                    break;
+
+                case "attrName":
+                case "afterAttrName":
+                    if (state === "attrName" && (isSpace(c) || c === "=" || c === ">" || c === "/"))
+                        attr = html.slice(nameStart, i).toLowerCase();
+
+                    if (c === "=") state = "beforeValue";
+                    else if (c === ">") endTag(i);
+                    else if (c === "/") state = "beforeAttr";
+                    else if (isSpace(c)) state = "afterAttrName";
+                    else if (state === "afterAttrName") {
+                        state = "attrName";
+                        nameStart = i;
+                    }
+                    break;
+
+                case "beforeValue":
+                    if (c === '"' || c === "'") {
+                        state = "attrValue";
+                        quote = c;
+                        valueStart = i + 1;
+                    } else if (c === ">") {
+                        endTag(i);
+                    } else if (!isSpace(c)) {
+                        state = "attrValue";
+                        quote = "";
+                        valueStart = i;
+                    }
+                    break;
+
+                case "attrValue":
+                    if (quote ? c === quote : isSpace(c)) state = "beforeAttr";
+                    else if (!quote && c === ">") endTag(i);
+                    break;
+
+                case "raw": {
+                    // </script followed by whitespace, "/" or ">" ends the element
+                    const end = `</${rawTag}`;
+                    if ((isSpace(c) || c === "/" || c === ">") && i - end.length >= rawStart
+                        && html.slice(i - end.length, i).toLowerCase() === end) {
+                        tag = rawTag;
+                        closing = true;
+                        tagStart = i - end.length;
+                        if (c === ">") state = "text";
+                        else state = "beforeAttr";
+                    }
+                    break;
+                }
+            }
+        }
+
+        return {
+            at(html) {
+                for (; pos < html.length; pos++) step(html, pos);
+
+                switch (state) {
+                    case "comment":
+                    case "bang":
+                        return { type: "comment" };
+
+                    case "tagName":
+                    case "beforeAttr":
+                    case "attrName":
+                    case "afterAttrName":
+                        return { type: "tag" };
+
+                    case "beforeValue":
+                        return { type: "attr", attr, quote: "", prefix: "" };
+
+                    case "attrValue":
+                        return { type: "attr", attr, quote, prefix: html.slice(valueStart) };
+
+                    case "raw":
+                        if (rawTag === "script")
+                            return { type: "script", prefix: html.slice(rawStart) };
+                        return rawTag === "style" ? { type: "style" } : { type: "text" };
+
+                    default:
+                        return { type: "text" };
+                }
+            }
+        };
+    }
+
+
+    /** Replaces the five HTML-significant characters with entities. */
+    function escapeHTML(value) {
+        return value.replace(/[&<>"']/g, c => ({
+            "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+        })[c]);
+    }
+
+
+    /**
+     * Escapes a value for a <style> block. Everything but letters, digits, spaces
+     * and # % . - _ becomes a CSS escape, so a value can be a word, number,
+     * length or colour (or text inside a quoted CSS string) but never new CSS
+     * syntax, and cannot close the element.
+     */
+    function escapeCSS(value) {
+        return value.replace(/[^\w #%.-]/gu, c => `\\${c.codePointAt(0).toString(16)} `);
+    }
+
+
+    /** Entity-encodes every character outside [A-Za-z0-9_.-] (unquoted attribute values). */
+    function encodeUnquoted(value) {
+        return value.replace(/[^\w.-]/gu, c => `&#x${c.codePointAt(0).toString(16)};`);
+    }
+
+
+    /** Decodes numeric and common named entities, as the browser would in an attribute value. */
+    function decodeEntities(value) {
+        const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", colon: ":", tab: "\t", newline: "\n" };
+
+        return value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (m, hex, dec, name) => {
+            if (hex || dec) {
+                const code = parseInt(hex ?? dec, hex ? 16 : 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+            }
+            return named[name.toLowerCase()] ?? m;
+        });
+    }
+
+
+    /** Escapes a value for use inside a JS string literal ('...', "..." or `...`) or a comment. */
+    function escapeJSString(value) {
+        return value.replace(/[\\'"`<>&\/\n\r\u2028\u2029]|\$\{/g, c =>
+            c === "${" ? "\\u0024{" : `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+    }
+
+
+
+
+    /***************************************************************************************
+     *
+     * Placeholder Expression Functions
+     * --------------------------------
+     * {{ }} placeholders and data-bind-* values accept a small, safe expression
+     * language, parsed here rather than run through new Function:
+     *
+     *   {{ price * qty }}                     arithmetic: + - * / %
+     *   {{ count > 0 ? 'some' : 'none' }}     comparison, && || ! ??, ternary
+     *   {{ user.tags[0] }}                    property and index access
+     *   {{ name | upper }}                    filters, chained with |
+     *   {{ user.created | date:'short' }}     filter arguments after :
+     *
+     * Identifiers resolve like plain placeholders (params first, then state).
+     * There are no function calls or assignments. Inside identifiers a hyphen
+     * followed by a letter is part of the name ({{chart-id}}), so put spaces
+     * around a minus sign.
+     *
+     **************************************************************************************/
+
+    /** Filter name → fn(value, ...args) */
+    const filters = new Map(Object.entries({
+        upper: v => String(v ?? "").toUpperCase(),
+        lower: v => String(v ?? "").toLowerCase(),
+        capitalize: v => { const s = String(v ?? ""); return s.charAt(0).toUpperCase() + s.slice(1); },
+        trim: v => String(v ?? "").trim(),
+        default: (v, fallback = "") => (v === undefined || v === null || v === "" ? fallback : v),
+        length: v => v?.length ?? 0,
+        json: v => JSON.stringify(v),
+        join: (v, separator = ", ") => (Array.isArray(v) ? v.join(separator) : v),
+        truncate: (v, length = 50, suffix = "…") => {
+            const s = String(v ?? "");
+            return s.length > length ? s.slice(0, length) + suffix : s;
+        },
+        plural: (n, singular, plural = `${singular}s`) => `${n} ${Number(n) === 1 ? singular : plural}`,
+        number: (v, digits) => (v === undefined || v === null || v === "" ? v
+            : Number(v).toLocaleString(undefined, digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits })),
+        currency: (v, code = "USD") => (v === undefined || v === null || v === "" ? v
+            : new Intl.NumberFormat(undefined, { style: "currency", currency: code }).format(Number(v))),
+        date: (v, format = "medium") => {
+            if (v === undefined || v === null || v === "") return v;
+            const d = v instanceof Date ? v : new Date(v);
+            if (Number.isNaN(d.getTime())) return v;
+
+            switch (format) {
+                case "iso":      return d.toISOString();
+                case "time":     return d.toLocaleTimeString(undefined, { timeStyle: "short" });
+                case "datetime": return d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+                default:         return d.toLocaleDateString(undefined, { dateStyle: format });
+            }
+        }
+    }));
+
+    /** Expression source → compiled { ast, deps } (or null if it does not parse) */
+    const compiledExpressions = new Map();
+
+    /** Properties that are never read by placeholders or expressions */
+    const BLOCKED_PROPERTIES = new Set(["__proto__", "constructor", "prototype"]);
+
+
+    /** True if any segment of a dotted path is a blocked property. */
+    function isBlockedPath(path) {
+        return path.split(".").some(key => BLOCKED_PROPERTIES.has(key));
+    }
+
+    const PLAIN_PATH = /^\s*[\w$-]+(?:\.[\w$-]+)*\s*$/;
+
+
+    /**
+     * Registers (or replaces) a filter usable as {{ value | name:arg1:arg2 }}.
+     *
+     * @param {string} name
+     * @param {Function} fn - Called as fn(value, ...args); its return value is used.
+     */
+    function registerFilter(name, fn) {
+        if (typeof name !== "string" || !/^[A-Za-z_$][\w$]*$/.test(name) || typeof fn !== "function") {
+            console.error("[Frontend] registerFilter() requires a name (letters, digits, _ or $) and a function");
+            return;
+        }
+
+        if (filters.has(name))
+            console.info(`[Frontend] Filter "${name}" replaced`);
+
+        filters.set(name, fn);
+    }
+
+
+    /**
+     * Evaluates a placeholder body. Plain paths are looked up directly;
+     * anything else is compiled as an expression.
+     *
+     * @param {string} source - The text between the braces.
+     * @param {Object} params - Params that take priority over state.
+     * @returns {*} The value, or undefined if it is unknown or does not parse.
+     */
+    function evaluatePlaceholder(source, params) {
+        if (PLAIN_PATH.test(source))
+            return resolvePlaceholder(source.trim(), params);
+
+        // Template markup arrives serialized, so "a > b && c" reads "a &gt; b &amp;&amp; c"
+        const compiled = compileExpression(decodeExpressionEntities(source));
+        if (!compiled)
+            return undefined;
+
+        const value = evaluateExpression(compiled.ast, path => resolvePlaceholder(path, params));
+        return value === null ? undefined : value;
+    }
+
+
+    /** Decodes the entities innerHTML serialization introduces into expression text. */
+    function decodeExpressionEntities(source) {
+        const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", "#39": "'", nbsp: " " };
+        return source.replace(/&(amp|lt|gt|quot|apos|#39|nbsp);/g, (m, name) => entities[name]);
+    }
+
+
+    /**
+     * Parses an expression once and caches the result.
+     *
+     * @param {string} source
+     * @returns {{ast: Object, deps: string[]}|null} null if it does not parse. Any
+     *          {{...}} text can reach here, so that is not an error and is not logged.
+     */
+    function compileExpression(source) {
+        if (compiledExpressions.has(source))
+            return compiledExpressions.get(source);
+
+        let compiled = null;
+        try {
+            const parser = createExpressionParser(tokenizeExpression(source));
+            const ast = parser.parsePipeline();
+            parser.expectEnd();
+
+            const deps = new Set();
+            collectExpressionPaths(ast, deps);
+            compiled = { ast, deps: Array.from(deps) };
+        } catch {
+            // Ordinary text between braces; the caller leaves it as it is
+        }
+
+        compiledExpressions.set(source, compiled);
+        return compiled;
+    }
+
+
+    /**
+     * Splits an expression into tokens: { type: "num"|"str"|"id"|"op", value }.
+     *
+     * @param {string} source
+     * @returns {Array<{type: string, value: *}>}
+     */
+    function tokenizeExpression(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const c = source[i];
+
+            if (/\s/.test(c)) {
+                i++;
+                continue;
+            }
+
+            // Path segments after a dot are read as whole integers ("todos.0.1")
+            const afterDot = tokens.length && tokens[tokens.length - 1].value === "." && tokens[tokens.length - 1].type === "op";
+            const number = source.slice(i).match(afterDot ? /^\d+/ : /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/);
+            if (number) {
+                tokens.push({ type: "num", value: Number(number[0]) });
+                i += number[0].length;
+                continue;
+            }
+
+            if (c === "'" || c === '"') {
+                let value = "";
+                let j = i + 1;
+                for (; j < source.length && source[j] !== c; j++) {
+                    if (source[j] === "\\" && j + 1 < source.length) {
+                        const next = source[++j];
+                        value += { n: "\n", t: "\t", r: "\r" }[next] ?? next;
+                    } else {
+                        value += source[j];
+                    }
+                }
+                if (j >= source.length)
+                    throw new Error("unterminated string");
+
+                tokens.push({ type: "str", value });
+                i = j + 1;
+                continue;
+            }
+
+            const ident = source.slice(i).match(/^[A-Za-z_$][\w$]*(?:-[A-Za-z_$][\w$]*)*/);
+            if (ident) {
+                tokens.push({ type: "id", value: ident[0] });
+                i += ident[0].length;
+                continue;
+            }
+
+            const op = ["===", "!==", "==", "!=", "<=", ">=", "&&", "||", "??"].find(o => source.startsWith(o, i))
+                ?? ("+-*/%<>!?:()[].|,".includes(c) ? c : null);
+            if (!op)
+                throw new Error(`unexpected "${c}"`);
+
+            tokens.push({ type: "op", value: op });
+            i += op.length;
+        }
+
+        return tokens;
+    }
+
+
+    /**
+     * Recursive-descent parser over a token list. Precedence, lowest first:
+     * pipe, ternary, ??, ||, &&, equality, relational, additive,
+     * multiplicative, unary, member access.
+     *
+     * @param {Array} tokens
+     * @returns {{parsePipeline: Function, expectEnd: Function}}
+     */
+    function createExpressionParser(tokens) {
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isOp = (...ops) => peek()?.type === "op" && ops.includes(peek().value);
+        const next = () => tokens[pos++];
+        const expectOp = op => {
+            if (!isOp(op)) throw new Error(`expected "${op}"`);
+            return next();
+        };
+
+        const binary = (parseOperand, ...ops) => () => {
+            let left = parseOperand();
+            while (isOp(...ops)) {
+                const op = next().value;
+                left = { type: "binary", op, left, right: parseOperand() };
+            }
+            return left;
+        };
+
+        function parsePipeline() {
+            let node = parseTernary();
+            while (isOp("|")) {
+                next();
+                const name = next();
+                if (name?.type !== "id") throw new Error("expected a filter name after |");
+
+                const args = [];
+                while (isOp(":")) {
+                    next();
+                    args.push(parseNullish());
+                }
+                node = { type: "filter", name: name.value, input: node, args };
+            }
+            return node;
+        }
+
+        function parseTernary() {
+            const test = parseNullish();
+            if (!isOp("?"))
+                return test;
+
+            next();
+            const consequent = parseTernary();
+            expectOp(":");
+            return { type: "ternary", test, consequent, alternate: parseTernary() };
+        }
+
+        function parseUnary() {
+            if (isOp("!", "-", "+")) {
+                const op = next().value;
+                return { type: "unary", op, argument: parseUnary() };
+            }
+            return parseMember();
+        }
+
+        function parseMember() {
+            let node = parsePrimary();
+
+            for (;;) {
+                if (isOp(".")) {
+                    next();
+                    const prop = next();
+                    if (prop?.type !== "id" && prop?.type !== "num") throw new Error("expected a property name after .");
+
+                    node = node.type === "path"
+                        ? { type: "path", path: `${node.path}.${prop.value}` }
+                        : { type: "member", object: node, property: { type: "literal", value: String(prop.value) } };
+                } else if (isOp("[")) {
+                    next();
+                    const property = parsePipeline();
+                    expectOp("]");
+                    node = { type: "member", object: node, property };
+                } else {
+                    return node;
+                }
+            }
+        }
+
+        function parsePrimary() {
+            const token = next();
+            if (!token)
+                throw new Error("unexpected end");
+
+            if (token.type === "num" || token.type === "str")
+                return { type: "literal", value: token.value };
+
+            if (token.type === "id") {
+                const keywords = { true: true, false: false, null: null, undefined: undefined };
+                if (token.value in keywords)
+                    return { type: "literal", value: keywords[token.value] };
+                return { type: "path", path: token.value };
+            }
+
+            if (token.value === "(") {
+                const node = parsePipeline();
+                expectOp(")");
+                return node;
+            }
+
+            throw new Error(`unexpected "${token.value}"`);
+        }
+
+        const parseMultiplicative = binary(parseUnary, "*", "/", "%");
+        const parseAdditive = binary(parseMultiplicative, "+", "-");
+        const parseRelational = binary(parseAdditive, "<", ">", "<=", ">=");
+        const parseEquality = binary(parseRelational, "===", "!==", "==", "!=");
+        const parseAnd = binary(parseEquality, "&&");
+        const parseOr = binary(parseAnd, "||");
+        const parseNullish = binary(parseOr, "??");
+
+        return {
+            parsePipeline,
+            expectEnd() {
+                if (pos < tokens.length) throw new Error(`unexpected "${peek().value}"`);
+            }
+        };
+    }
+
+
+    /** Collects the state / param paths an expression reads. */
+    function collectExpressionPaths(node, deps) {
+        if (!node || typeof node !== "object")
+            return;
+
+        if (node.type === "path") {
+            deps.add(node.path);
+            return;
+        }
+
+        for (const child of Object.values(node)) {
+            if (Array.isArray(child)) child.forEach(c => collectExpressionPaths(c, deps));
+            else collectExpressionPaths(child, deps);
+        }
+    }
+
+
+    /**
+     * Evaluates a parsed expression.
+     *
+     * @param {Object} node - AST node from createExpressionParser().
+     * @param {function(string): *} lookup - Resolves a dotted path.
+     * @returns {*}
+     */
+    function evaluateExpression(node, lookup) {
+        const ev = n => evaluateExpression(n, lookup);
+
+        switch (node.type) {
+            case "literal":
+                return node.value;
+
+            case "path":
+                return isBlockedPath(node.path) ? undefined : lookup(node.path);
+
+            case "member": {
+                const object = ev(node.object);
+                const property = ev(node.property);
+                if (object === undefined || object === null || BLOCKED_PROPERTIES.has(String(property)))
+                    return undefined;
+                return object[property];
+            }
+
+            case "unary": {
+                const value = ev(node.argument);
+                return node.op === "!" ? !value : node.op === "-" ? -value : +value;
+            }
+
+            case "binary": {
+                if (node.op === "&&") return ev(node.left) && ev(node.right);
+                if (node.op === "||") return ev(node.left) || ev(node.right);
+                if (node.op === "??") return ev(node.left) ?? ev(node.right);
+
+                const a = ev(node.left);
+                const b = ev(node.right);
+                switch (node.op) {
+                    case "+":   return a + b;
+                    case "-":   return a - b;
+                    case "*":   return a * b;
+                    case "/":   return a / b;
+                    case "%":   return a % b;
+                    case "<":   return a < b;
+                    case ">":   return a > b;
+                    case "<=":  return a <= b;
+                    case ">=":  return a >= b;
+                    case "==":  return a == b;
+                    case "!=":  return a != b;
+                    case "===": return a === b;
+                    case "!==": return a !== b;
+                }
+                return undefined;
+            }
+
+            case "ternary":
+                return ev(node.test) ? ev(node.consequent) : ev(node.alternate);
+
+            case "filter": {
+                const input = ev(node.input);
+                const fn = filters.get(node.name);
+                if (!fn) {
+                    console.warn(`[Frontend] Unknown filter "${node.name}"`);
+                    return input;
+                }
+
+                try {
+                    return fn(input, ...node.args.map(ev));
+                } catch (e) {
+                    console.error(`[Frontend] Error in filter "${node.name}":`, e);
+                    return input;
+                }
+            }
+        }
+
+        return undefined;
+    }
+
+
+    /**
+     * Parses HTML into DOM nodes and replaces the original fragment
+     * (or component) element referenced by `fragData.el`.
+     * Returns an array of the new nodes.
+     */
+    function parseFragment(html, fragData) {
+
+        const wrapper = document.createElement("div");
+        wrapper.innerHTML = html;
+
+        loadBehaviorLinks(wrapper);
+        loadBehaviorsElements(wrapper);
+
+        loadTemplateLinks(wrapper);
+        loadTemplates(wrapper);
+
+        captureConditionals(wrapper);
+
+        applyBehaviors(wrapper);
+
+        buildTriggers(wrapper);
+        buildDataBindings(wrapper);
+
+        // --- Parse and Load code src attributes
+        loadCodeElements(wrapper);
+
+        const newNodes = Array.from(wrapper.childNodes);
+
+        // --- swap the DOM fragment with the new nodes
+        markRuntimeNodes(newNodes);
+        fragData.el.replaceWith(...newNodes);
+
+
+        // --- Run scripts & links ---
+        newNodes.forEach(n => {
+            handleFragmentLinks(n);
+            runScripts(n);
+        });
+
+
+        return newNodes;
+    }
+
+    /**
+     * Promotes <link> elements into <head>, avoiding duplicates.
+     * Removes them from the body if already present.
+     */
+    function handleFragmentLinks(node) {
+        if (node.nodeName === "LINK") {
+            const rel = node.getAttribute("rel");
+            const href = node.getAttribute("href");
+            const duplicate = [...document.head.querySelectorAll("link")]
+                .some(l => l.getAttribute("rel") === rel && l.getAttribute("href") === href);
+
+            if (!duplicate) {
+                document.head.appendChild(node);
+            } else {
+                node.remove();
+            }
+        } else if (node.querySelectorAll) {
+            node.querySelectorAll("link").forEach(handleFragmentLinks);
+        }
+    }
+
+
+    /***************************************************************************************
+     *
+     * Fragment Internal Script Handler Functions
+     * 
+     **************************************************************************************/
+
+    /**
+     * Processes <script> elements:
+     * - External scripts (<script src>) are moved to <head> if not already there
+     * - Inline scripts are reinserted to force execution
+     */
+    function runScripts(root) {
+        try {
+            if (root.nodeName === "SCRIPT") {
+                const src = root.getAttribute("src");
+                if (src) return handleExternalScript(root, src);
+                return handleInlineScript(root);
+            }
+
+            if (root.querySelectorAll) {
+                root.querySelectorAll("script").forEach(runScripts);
+            }
+        } catch (err) {
+            console.error("Script execution error:", err);
+        }
+    }
+
+    /**
+     * Handles external <script src="...">.
+     * Moves it into <head> unless already loaded.
+     */
+    function handleExternalScript(root, src) {
+        const exists = [...document.head.querySelectorAll("script[src]")]
+            .some(s => s.getAttribute("src") === src);
+
+        if (!exists) {
+            const s = document.createElement("script");
+            for (const { name, value } of root.attributes) {
+                s.setAttribute(name, value);
+            }
+            document.head.appendChild(s);
+        }
+        root.remove();
+    }
+
+    /**
+     * Handles inline <script> by recreating and reinserting it.
+     * Ensures inline code executes.
+     */
+    function handleInlineScript(old) {
+        const s = document.createElement("script");
+        for (const { name, value } of old.attributes) {
+            s.setAttribute(name, value);
+        }
+        if (old.textContent) s.textContent = old.textContent;
+        markRuntimeNodes([s]);
+        old.parentNode.insertBefore(s, old);
+        old.remove();
+    }
+
+
+
+    /***************************************************************************************
+     *
+     * Template Utility Functions
+     * 
+     **************************************************************************************/
+
+    /**
+     * Normalizes any <templates> containers found inside a given root.
+     * Moves all <template> children into the global <templates id="templates"> container.
+     * Removes the processed <templates> containers afterward.
+     *
+     * @param {ParentNode} sourceRoot - The DOM node to search within (e.g. fragment wrapper or document).
+     * @param {HTMLElement} templatesRoot - The global <templates id="templates"> container.
+     */
+    function normalizeTemplatesContainers(sourceRoot, templatesRoot) {
+        const containers = Array.from(sourceRoot.querySelectorAll("templates"));
+        for (const container of containers) {
+            // Warn if nested <templates id="templates"> is found
+            if (container.id === "templates") {
+                console.warn("[Frontend] Found embedded <templates id=\"templates\">; merging into global container.");
+            }
+
+            // Move all child <template> elements into the global templates root
+            const innerTemplates = Array.from(container.querySelectorAll("template"));
+            for (const tmpl of innerTemplates) {
+                moveTemplateToGlobal(tmpl, templatesRoot);
+            }
+
+            // Remove the container after its contents are merged
+            container.remove();
+        }
+    }
+
+
+    /**
+     * Returns the global <templates id="templates"> container,
+     * creating it at the end of <body> if it does not exist yet.
+     *
+     * @returns {HTMLElement}
+     */
+    function getTemplatesContainer() {
+        let container = document.querySelector("templates#templates");
+        if (!container) {
+            container = document.createElement("templates");
+            container.id = "templates";
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+
+
+    /**
+     * Moves a <template> element into the global <templates id="templates"> container,
+     * skipping duplicates by ID.
+     *
+     * @param {HTMLTemplateElement} tmpl - The <template> element to move.
+     * @param {HTMLElement} templatesRoot - The global <templates id="templates"> element.
+     */
+    function moveTemplateToGlobal(tmpl, templatesRoot) {
+        const id = tmpl.id;
+        if (!id) {
+            console.warn("[Frontend] Ignored <template> without id in fragment.");
+            return;
+        }
+
+        // Skip duplicates
+        if (templatesRoot.querySelector(`template#${CSS.escape(id)}`)) {
+            console.warn(`[Frontend] Duplicate template id "${id}" in fragment — skipped`);
+            return;
+        }
+
+        templatesRoot.appendChild(tmpl);
+    }
+
+    /***************************************************************************************
+     *
+     * Mutation Observer Functions
+     * ---------------------------
+     * With `Frontend.configure({ observe: true })`, markup that other scripts insert
+     * into <body> (innerHTML writes, third-party widgets, ...) is run through the same
+     * pipeline as Frontend.load(). Nodes inserted by the runtime itself are marked and
+     * skipped, as is anything inside <code>. Removed nodes are released.
+     *
+     **************************************************************************************/
+
+    /** Nodes inserted by the runtime itself — ignored by the mutation observer. */
+    const runtimeNodes = new WeakSet();
+
+    let initialized = false;
+    let mutationObserver = null;
+
+
+    /**
+     * Marks nodes as inserted by the runtime so the observer does not reprocess them.
+     *
+     * @param {Node[]} nodes
+     */
+    function markRuntimeNodes(nodes) {
+        for (const n of nodes) runtimeNodes.add(n);
+    }
+
+
+    /**
+     * Starts or stops the body MutationObserver to match `config.observe`.
+     * Observation only starts once initialize() has begun.
+     */
+    function updateMutationObserver() {
+        if (!config.observe) {
+            mutationObserver?.disconnect();
+            mutationObserver = null;
+            return;
+        }
+
+        if (mutationObserver || !initialized || !document.body || typeof MutationObserver === "undefined")
+            return;
+
+        mutationObserver = new MutationObserver(handleMutations);
+        mutationObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+
+    /**
+     * Processes added subtrees and releases removed ones.
+     *
+     * @param {MutationRecord[]} records
+     */
+    function handleMutations(records) {
+        const added = new Set();
+        const removed = [];
+
+        for (const record of records) {
+            for (const n of record.addedNodes) {
+                if (n.nodeType === Node.ELEMENT_NODE) added.add(n);
+            }
+            for (const n of record.removedNodes) {
+                removed.push(n);
+            }
+        }
+
+        // --- Release nodes that really left (moved nodes are still connected) ---
+        releaseNodes(removed.filter(n => !n.isConnected));
+
+        for (const n of added) {
+            if (!n.isConnected || runtimeNodes.has(n))
+                continue;
+
+            // Skip code samples and the global templates container
+            if (n.parentElement?.closest("code, templates"))
+                continue;
+
+            // Skip nodes already covered by an added ancestor
+            let covered = false;
+            for (let p = n.parentElement; p; p = p.parentElement) {
+                if (added.has(p) && !runtimeNodes.has(p)) {
+                    covered = true;
+                    break;
+                }
+            }
+            if (covered)
+                continue;
+
+            processInsertedNode(n);
+        }
+    }
+
+
+    /**
+     * Runs the loaders over a single externally inserted element.
+     *
+     * @param {Element} el
+     */
+    function processInsertedNode(el) {
+        const tag = el.tagName.toLowerCase();
+
+        if (tag === "templates" && el.id === "templates")
+            return;
+
+        if (tag === "trigger" || tag === "data-binding") {
+            // A bare declaration dropped into an existing element compiles onto that element
+            if (el.parentElement) {
+                buildTriggers(el.parentElement);
+                buildDataBindings(el.parentElement);
+            }
+            return;
+        }
+
+        if (tag === "if") {
+            captureConditional(el);
+            mountPendingConditionals();
+            return;
+        }
+
+        if (tag === "fragment" || tag === "component" || tag === "for-each") {
+            loadNestedContent([el]);
+            return;
+        }
+
+        processRoot(el);
+    }
+
+
+    /***************************************************************************************
+     *
+     * Configuration API
+     *
+     ***************************************************************************************/
+
+    /**
+     * Updates runtime options. Unknown keys are ignored with a warning.
+     *
+     * Options:
+     *   - {number} cacheTTL               How long (ms) cached fetches stay fresh. 0 = until cleared.
+     *   - {number} maxConcurrentFetches   Max network requests in flight at once. 0 = unlimited.
+     *   - {string} lazyRootMargin         IntersectionObserver rootMargin for loading="lazy" fragments.
+     *   - {boolean} observe               Watch document.body and process inserted markup automatically.
+     *
+     * @param {Object} options - Partial set of options to apply.
+     * @returns {Object} A copy of the resulting configuration.
+     */
+    function configure(options = {}) {
+        for (const [key, value] of Object.entries(options)) {
+            if (!(key in config)) {
+                console.warn(`[Frontend] Unknown configuration option "${key}" — ignored`);
+                continue;
+            }
+            config[key] = value;
+        }
+
+        if ("observe" in options)
+            updateMutationObserver();
+
+        return { ...config };
+    }
+
+    /***************************************************************************************
+     *
+     * Markdown Processor API
+     * -----------------------
+     * Allows developers to register a Markdown-to-HTML processor.
+     * Your core code remains agnostic; you just call Frontend.renderMarkdown(text)
+     * whenever you need to render Markdown.
+     *
+     ***************************************************************************************/
+
+    /**
+     * Registers a custom Markdown processor.
+     * @param {Function} fn - A function(text: string) => html: string
+     */
+    function setMarkdownProcessor(fn) {
+        if (typeof fn !== "function") {
+            console.error("[Frontend] setMarkdownProcessor requires a function");
+            return;
+        }
+        markdownProcessor = fn;
+        console.log("[Frontend] Markdown processor registered.");
+    }
+
+    /**
+     * Converts Markdown text to HTML using the registered processor.
+     * If none is set, returns escaped plain text.
+     * @param {string} text
+     * @returns {string} HTML string
+     */
+    function renderMarkdown(text) {
+        try {
+            return markdownProcessor(text);
+        } catch (err) {
+            console.error("[Frontend] Markdown processor failed:", err);
+            return `<pre>${text}</pre>`;
+        }
+    }
+
+
+
+    /***************************************************************************************
+     *
+     * State Functions
+     * 
+     **************************************************************************************/
+
+
+    /**
+     * Sets a value in the global state and updates bound elements.
+     * Path can be nested ("user.name").
+     */
+    function setData(path, value) {
+
+        if (rejectRuntimeWrite(path, "setData"))
+            return;
+
+        if (computedValues.size && findComputed(path)) {
+            console.error(`[Frontend] Cannot set "${path}": it is a computed (read-only) path`);
+            return;
+        }
+
+        const keys = path.split(".");
+        let obj = state;
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            const k = keys[i];
+
+            if (!(k in obj)) {
+                console.error(`[Frontend] Cannot set "${path}": "${keys.slice(0, i + 1).join('.')}" does not exist`);
+                return;
+            }
+
+            obj = obj[k];
+        }
+
+        const lastKey = keys[keys.length - 1];
+        const existed = lastKey in obj;
+        const oldValue = obj[lastKey];
+
+        if (rejectInvalidWrite(path, value ?? undefined))
+            return;
+
+        if (value === null || value === undefined) {
+            if (existed) {
+                delete obj[lastKey];
+
+                dispatchDataEvent("deleted", path, undefined, oldValue);
+                clearWriteErrors(path);
+            } else {
+                console.warn(`[Frontend] Tried to remove non-existent key "${path}"`);
+            }
+
+            return;
+        }
+
+        obj[lastKey] = value;
+
+        if (!existed) {
+            dispatchDataEvent("added", path, value, oldValue);
+        } else {
+            dispatchDataEvent("changed", path, value, oldValue);
+        }
+
+        // Fire per-child 'add' updates for array or object values
+        // TODO: This should probably be recursive?
+        if (value && (Array.isArray(value) || typeof value === "object")) {
+            const entries = Array.isArray(value) ? value.entries() : Object.entries(value);
+
+            for (const [key, child] of entries) {
+                dispatchDataEvent("added", `${path}.${key}`, child, undefined);
+
+            }
+        }
+
+        clearWriteErrors(path);
+
+    }
+
+
+    /**
+     * Retrieves a value from the global state.
+     * Computed paths (and paths below them) resolve to their derived value.
+     */
+    function getData(path) {
+        const owner = computedValues.size ? findComputed(path) : null;
+        if (owner)
+            return owner.rest.reduce((o, k) => (o != null ? o[k] : undefined), readComputed(owner.entry));
+
+        return path.split(".").reduce((o, k) => (o != null ? o[k] : undefined), isRuntimePath(path) ? runtimeState : state);
+    }
+
+
+    /**
+     * "$"-prefixed paths (e.g. "$history.canUndo") hold values the runtime
+     * maintains itself. They can be read and bound like any other path, but
+     * live outside user state, so snapshot(), persist() and resetState() never
+     * see them and user data can use any top-level name.
+     */
+    function isRuntimePath(path) {
+        return path.startsWith("$");
+    }
+
+
+    /**
+     * Logs and returns true when a public write targets a runtime-owned path.
+     *
+     * @param {string} path
+     * @param {string} caller - Function name, for the error message.
+     */
+    function rejectRuntimeWrite(path, caller) {
+        if (!isRuntimePath(path))
+            return false;
+
+        console.error(`[Frontend] ${caller}: "${path}" is maintained by Frontend and cannot be written`);
+        return true;
+    }
+
+
+    /**
+     * Writes a runtime-owned path, creating missing levels. undefined removes
+     * the value. Fires the usual data events, so bindings and watchers update;
+     * removing an object also announces each path below it.
+     *
+     * @param {string} path - e.g. "$history.canUndo"
+     * @param {*} value
+     */
+    function setRuntimeData(path, value) {
+        const keys = path.split(".");
+        const lastKey = keys.pop();
+        let obj = runtimeState;
+
+        for (const k of keys) {
+            if (obj[k] === null || typeof obj[k] !== "object") {
+                if (value === undefined)
+                    return;
+                obj[k] = {};
+            }
+            obj = obj[k];
+        }
+
+        const oldValue = obj[lastKey];
+        if (oldValue === value)
+            return;
+
+        if (value === undefined) {
+            delete obj[lastKey];
+            dispatchRemovedDescendants(path, oldValue);
+            dispatchDataEvent("deleted", path, undefined, oldValue);
+        } else {
+            obj[lastKey] = value;
+            dispatchDataEvent(oldValue === undefined ? "added" : "changed", path, value, oldValue);
+        }
+    }
+
+
+    /**
+     * Fires data:deleted for every path below a removed object, deepest first.
+     *
+     * @param {string} path - The removed path.
+     * @param {*} removed   - The value that was removed.
+     */
+    function dispatchRemovedDescendants(path, removed) {
+        if (removed === null || typeof removed !== "object")
+            return;
+
+        for (const [key, child] of Object.entries(removed)) {
+            dispatchRemovedDescendants(`${path}.${key}`, child);
+            dispatchDataEvent("deleted", `${path}.${key}`, undefined, child);
+        }
+    }
+
+
+    /**
+     * Removes a value from the global state at a given path.
+     * Fires data:removed and updates bound elements.
+     */
+    function removeData(path) {
+        if (rejectRuntimeWrite(path, "removeData"))
+            return;
+
+        if (computedValues.size && findComputed(path)) {
+            console.error(`[Frontend] Cannot remove "${path}": it is a computed (read-only) path`);
+            return;
+        }
+
+        const keys = path.split(".");
+        let obj = state;
+        for (let i = 0; i < keys.length - 1; i++) {
+            const k = keys[i];
+            if (!(k in obj)) return; // nothing to remove
+            obj = obj[k];
+        }
+
+        const lastKey = keys[keys.length - 1];
+
+        if (lastKey in obj) {
+            if (rejectInvalidWrite(path, undefined))
+                return;
+
+            const oldValue = obj[lastKey];
+            delete obj[lastKey];
+
+            dispatchDataEvent("deleted", path, undefined, oldValue);
+            clearWriteErrors(path);
+        }
+    }
+
+    /**
+     * Resets the entire state object to empty.
+     * Fires data:removed for each cleared key.
+     */
+    function resetState() {
+        for (const key of Object.keys(state)) {
+            const oldValue = state[key];
+            delete state[key];
+            dispatchDataEvent("deleted", key, undefined, oldValue);
+        }
+    }
+
+
+    /**
+     * Makes sure every object along a path exists, creating missing levels
+     * (including the last one) as empty objects. Fires data:added for each
+     * level it creates. What it would create is checked against any schema
+     * first; an invalid write creates nothing.
+     *
+     * @param {string} path - e.g. "settings.editor.theme"
+     * @returns {Object|null} The value at `path`, or null if a non-object is in the way
+     *                        or the write was rejected.
+     */
+    function ensurePath(path) {
+        if (rejectRuntimeWrite(path, "ensurePath"))
+            return null;
+
+        const current = getData(path);
+        if (current !== undefined && current !== null)
+            return createPath(path);
+
+        const write = plannedWrite(path, {});
+        if (rejectInvalidWrite(write.path, write.value))
+            return null;
+
+        const obj = createPath(path);
+        if (obj)
+            clearWriteErrors(write.path);
+
+        return obj;
+    }
+
+
+    /**
+     * ensurePath() without the schema check, for callers that validated the
+     * whole write already.
+     *
+     * @param {string} path
+     * @returns {Object|null}
+     */
+    function createPath(path) {
+        const keys = path.split(".");
+        let obj = state;
+
+        for (let i = 0; i < keys.length; i++) {
+            const k = keys[i];
+
+            if (!(k in obj) || obj[k] === null || obj[k] === undefined) {
+                obj[k] = {};
+                dispatchDataEvent("added", keys.slice(0, i + 1).join("."), obj[k], undefined);
+            } else if (typeof obj[k] !== "object") {
+                console.error(`[Frontend] Cannot ensure "${path}": "${keys.slice(0, i + 1).join(".")}" is not an object`);
+                return null;
+            }
+
+            obj = obj[k];
+        }
+
+        return obj;
+    }
+
+
+    /**
+     * Works out what writing `value` at `path` would create: the first missing
+     * level and the nested value it would receive. Lets a write that creates
+     * parents be validated as a whole before anything exists.
+     *
+     * @param {string} path
+     * @param {*} value
+     * @returns {{path: string, value: *}}
+     */
+    function plannedWrite(path, value) {
+        const keys = path.split(".");
+        let obj = state;
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            const next = obj[keys[i]];
+
+            if (next === undefined || next === null) {
+                let nested = value;
+                for (let j = keys.length - 1; j > i; j--)
+                    nested = { [keys[j]]: nested };
+
+                return { path: keys.slice(0, i + 1).join("."), value: nested };
+            }
+
+            if (typeof next !== "object")
+                break;
+
+            obj = next;
+        }
+
+        return { path, value };
+    }
+
+
+    /**
+     * setData() for writes whose parents may be missing: validates what the
+     * write would create, then creates the parents and writes.
+     *
+     * @param {string} path
+     * @param {*} value
+     */
+    function setDataCreatingParents(path, value) {
+        const write = plannedWrite(path, value);
+        if (write.path !== path && rejectInvalidWrite(write.path, write.value))
+            return;
+
+        const dot = path.lastIndexOf(".");
+        if (dot > 0 && !createPath(path.slice(0, dot)))
+            return;
+
+        setData(path, value);
+    }
+
+
+    /**
+     * Returns the array at a path without creating it: an empty stand-in if
+     * nothing is there yet, or null (after logging) if the path holds something else.
+     *
+     * @param {string} path
+     * @param {string} caller - Helper name, for error messages.
+     * @returns {Array|null}
+     */
+    function readArray(path, caller) {
+        if (rejectRuntimeWrite(path, caller))
+            return null;
+
+        const existing = getData(path);
+        if (Array.isArray(existing))
+            return existing;
+
+        if (existing !== undefined && existing !== null) {
+            console.error(`[Frontend] ${caller}: "${path}" is not an array`);
+            return null;
+        }
+
+        return [];
+    }
+
+
+    /**
+     * Returns the array at a path, creating an empty one (and any missing
+     * parents) if nothing is there yet. Callers validate the write first.
+     *
+     * @param {string} path
+     * @returns {Array|null} The array, or null if a non-object is in the way.
+     */
+    function ensureArray(path) {
+        const existing = getData(path);
+        if (Array.isArray(existing))
+            return existing;
+
+        const dot = path.lastIndexOf(".");
+        const parent = dot > 0 ? createPath(path.slice(0, dot)) : state;
+        if (!parent)
+            return null;
+
+        const lastKey = path.slice(dot + 1);
+        parent[lastKey] = [];
+        dispatchDataEvent("added", path, parent[lastKey], undefined);
+        return parent[lastKey];
+    }
+
+
+    /**
+     * Appends items to the array at a path (created if missing).
+     * Fires data:added for each new index.
+     *
+     * @param {string} path
+     * @param {...*} items
+     * @returns {number|undefined} The new length.
+     */
+    function push(path, ...items) {
+        const arr = readArray(path, "push");
+        if (!arr)
+            return undefined;
+
+        splice(path, arr.length, 0, ...items);
+        return (getData(path) ?? arr).length;
+    }
+
+
+    /**
+     * Inserts an item into the array at a path (created if missing).
+     *
+     * @param {string} path
+     * @param {number} index - Position to insert at (negative counts from the end).
+     * @param {*} item
+     * @returns {number|undefined} The new length.
+     */
+    function insert(path, index, item) {
+        const arr = readArray(path, "insert");
+        if (!arr)
+            return undefined;
+
+        splice(path, index, 0, item);
+        return (getData(path) ?? arr).length;
+    }
+
+
+    /**
+     * Array.prototype.splice() for the array at a path (created if missing).
+     *
+     * Every index whose value changed fires its own event, with the value it
+     * held before: data:changed where an index still exists, data:added past
+     * the old length and data:deleted past the new length. The array path
+     * itself then fires data:changed, with a copy of the old array as oldValue.
+     *
+     * @param {string} path
+     * @param {number} start
+     * @param {number} [deleteCount] - Omitted: everything after `start`. As with
+     *        Array.prototype.splice(), an explicit undefined deletes nothing.
+     * @param {...*} items - Items to insert at `start`.
+     * @returns {Array} The removed items.
+     */
+    function splice(path, start, deleteCount, ...items) {
+        const current = readArray(path, "splice");
+        if (!current)
+            return [];
+
+        const count = arguments.length > 2 ? deleteCount : current.length;
+        const after = current.slice();
+        after.splice(start, count, ...items);
+
+        const write = plannedWrite(path, after);
+        if (rejectInvalidWrite(write.path, write.value))
+            return [];
+
+        const arr = ensureArray(path);
+        if (!arr)
+            return [];
+
+        const before = arr.slice();
+        const removed = arr.splice(start, count, ...items);
+
+        const from = Math.min(Math.max(start < 0 ? before.length + start : start, 0), before.length);
+        const until = Math.max(before.length, arr.length);
+
+        for (let i = from; i < until; i++) {
+            const childPath = `${path}.${i}`;
+
+            if (i >= before.length) {
+                dispatchDataEvent("added", childPath, arr[i], undefined);
+            } else if (i >= arr.length) {
+                dispatchDataEvent("deleted", childPath, undefined, before[i]);
+            } else if (arr[i] !== before[i]) {
+                dispatchDataEvent("changed", childPath, arr[i], before[i]);
+            }
+        }
+
+        if (removed.length || items.length)
+            dispatchSummaryEvent("changed", path, arr, before);
+
+        clearWriteErrors(write.path);
+        return removed;
+    }
+
+
+    /**
+     * Shallow-merges properties into the object at a path (created if missing).
+     * Fires data:added / data:changed per property that is new or different;
+     * null or undefined values delete the property (data:deleted), as in setData().
+     *
+     * @param {string} path
+     * @param {Object} partial
+     * @returns {Object|null} The merged object.
+     */
+    function merge(path, partial) {
+        if (rejectRuntimeWrite(path, "merge"))
+            return null;
+
+        // A missing target is validated as the object the merge would create
+        const current = getData(path);
+        if (current === undefined || current === null) {
+            const created = Object.fromEntries(Object.entries(partial || {}).filter(([, v]) => v !== null && v !== undefined));
+            const write = plannedWrite(path, created);
+            if (rejectInvalidWrite(write.path, write.value))
+                return null;
+        }
+
+        const obj = createPath(path);
+        if (!obj)
+            return null;
+
+        for (const [key, value] of Object.entries(partial || {})) {
+            const childPath = `${path}.${key}`;
+            const existed = key in obj;
+            const oldValue = obj[key];
+
+            if ((value ?? undefined) !== oldValue && rejectInvalidWrite(childPath, value ?? undefined))
+                continue;
+
+            if (value === null || value === undefined) {
+                if (existed) {
+                    delete obj[key];
+                    dispatchDataEvent("deleted", childPath, undefined, oldValue);
+                    clearWriteErrors(childPath);
+                }
+                continue;
+            }
+
+            if (existed && oldValue === value)
+                continue;
+
+            obj[key] = value;
+            dispatchDataEvent(existed ? "changed" : "added", childPath, value, oldValue);
+            clearWriteErrors(childPath);
+        }
+
+        return obj;
+    }
+
+
+    /**
+     * Runs `fn` with notifications held back: bindings, lists, handlers, watchers
+     * and data:* events see one change per path — first oldValue, final value —
+     * once the outermost batch ends. Batches nest.
+     *
+     * If `fn` throws, the changes it made so far stay and are still flushed.
+     *
+     * @param {Function} fn
+     * @returns {*} Whatever `fn` returns.
+     */
+    function batch(fn) {
+        beginBatch();
+        try {
+            return fn();
+        } finally {
+            endBatch();
+        }
+    }
+
+
+    /**
+     * Like batch(), but awaits `fn` and is all-or-nothing: if it throws (or
+     * rejects), the transaction's own changes are reverted and none of them
+     * are announced. The error is rethrown.
+     *
+     * The transaction owns the writes made while `fn` runs synchronously, and
+     * the writes made through the `tx` handle it receives — use that after an
+     * await. Other writes (two-way inputs, other code, other transactions)
+     * are announced as usual and are not rolled back; a path they overwrite
+     * keeps their value on rollback.
+     *
+     *   await Frontend.transaction(async tx => {
+     *       Frontend.push("cart.items", item);
+     *       const saved = await api.save(Frontend.getData("cart"));
+     *       tx.setData("cart.savedAt", saved.at);
+     *   });
+     *
+     * @param {function(Object): *} fn - May be async. Receives { run(fn), setData,
+     *     removeData, push, insert, splice, merge, ensurePath }.
+     * @returns {Promise<*>} Whatever `fn` resolves to.
+     */
+    async function transaction(fn) {
+        const tx = { parent: activeTransaction, changes: [], held: new Map(), done: false };
+        const run = f => runInTransaction(tx, f);
+
+        const handle = { run };
+        for (const [name, method] of Object.entries({ setData, removeData, push, insert, splice, merge, ensurePath })) {
+            handle[name] = (...args) => run(() => method(...args));
+        }
+
+        let result;
+        try {
+            result = await run(() => fn(handle));
+        } catch (err) {
+            tx.done = true;
+            revertTransaction(tx);
+            throw err;
+        }
+
+        tx.done = true;
+        commitTransaction(tx);
+        return result;
+    }
+
+
+    /** Runs `fn` with its writes recorded by `tx` (once settled, writes are plain writes). */
+    function runInTransaction(tx, fn) {
+        if (tx.done)
+            return fn();
+
+        const previous = activeTransaction;
+        activeTransaction = tx;
+        try {
+            return fn();
+        } finally {
+            activeTransaction = previous;
+        }
+    }
+
+
+    /**
+     * Announces a committed transaction's changes — or hands them to the
+     * transaction it was started in, so an outer rollback covers them too.
+     */
+    function commitTransaction(tx) {
+        const parent = tx.parent && !tx.parent.done ? tx.parent : null;
+
+        if (parent) {
+            parent.changes.push(...tx.changes);
+            for (const { type, path, value, oldValue } of tx.held.values()) {
+                holdDataEvent(parent.held, type, path, value, oldValue);
+            }
+            return;
+        }
+
+        const previous = activeTransaction;
+        activeTransaction = null;
+        try {
+            for (const { type, path, value, oldValue } of tx.held.values()) {
+                dispatchDataEvent(type, path, value, oldValue);
+            }
+        } finally {
+            activeTransaction = previous;
+        }
+    }
+
+
+    /**
+     * Undoes a transaction's recorded changes, newest first, without announcing
+     * anything. A path whose value no longer matches what the transaction wrote
+     * was changed by someone else since, and is left alone.
+     */
+    function revertTransaction(tx) {
+        for (const { type, path, value, oldValue } of tx.changes.slice().reverse()) {
+            const dot = path.lastIndexOf(".");
+            const parent = dot > 0 ? getData(path.slice(0, dot)) : state;
+            const key = path.slice(dot + 1);
+
+            if (!parent || typeof parent !== "object")
+                continue;
+
+            const current = type === "deleted" ? undefined : value;
+            if (parent[key] !== current)
+                continue;
+
+            if (type === "added" && Array.isArray(parent) && Number(key) === parent.length - 1) {
+                parent.pop();
+            } else if (type === "added") {
+                delete parent[key];
+            } else {
+                parent[key] = oldValue;
+            }
+        }
+
+        // Computed values may have been read from the reverted state
+        markComputedStale();
+    }
+
+
+    /** Starts holding back data events. */
+    function beginBatch() {
+        if (batchDepth++ === 0)
+            pendingDataEvents = new Map();
+    }
+
+
+    /** Ends one level of batching; the outermost level flushes the held events. */
+    function endBatch() {
+        if (--batchDepth > 0)
+            return;
+
+        const held = pendingDataEvents;
+        pendingDataEvents = null;
+
+        for (const { type, path, value, oldValue } of held.values()) {
+            emitDataEvent(type, path, value, oldValue);
+        }
+    }
+
+
+    /**
+     * Folds a change into a map of held events, keeping the first oldValue
+     * and the latest value for its path. The type reflects the net effect:
+     * added + deleted cancel out, deleted + added becomes changed.
+     *
+     * @param {Map} events - pendingDataEvents or a transaction's held events.
+     */
+    function holdDataEvent(events, type, path, value, oldValue) {
+        const held = events.get(path);
+        if (!held) {
+            events.set(path, { type, path, value, oldValue });
+            return;
+        }
+
+        held.value = value;
+
+        if (held.type === "added" && type === "deleted") {
+            events.delete(path);
+        } else if (held.type === "deleted" && type !== "deleted") {
+            held.type = "changed";
+        } else if (type === "deleted") {
+            held.type = "deleted";
+        }
+    }
+
+
+    /**
+     * Returns a deep copy of the whole store.
+     * Computed paths are not included (they are derived, not stored).
+     *
+     * @returns {Object}
+     */
+    function snapshot() {
+        return structuredClone(state);
+    }
+
+
+    /**
+     * Replaces the whole store with a deep copy of a snapshot.
+     *
+     * With `emit` (the default), every path whose value differs fires its own
+     * data:added / data:changed / data:deleted event — coalesced like a batch —
+     * so bindings, lists and watchers catch up. With `emit: false` the store is
+     * swapped silently.
+     *
+     * @param {Object} snap - A value returned by snapshot() (or any plain object).
+     * @param {Object} [options]
+     * @param {boolean} [options.emit=true]
+     */
+    function restore(snap, { emit = true } = {}) {
+        if (!snap || typeof snap !== "object" || Array.isArray(snap)) {
+            console.error("[Frontend] restore() expects an object returned by snapshot():", snap);
+            return;
+        }
+
+        const before = { ...state };
+        const after = structuredClone(snap);
+
+        for (const key of Object.keys(state)) delete state[key];
+        Object.assign(state, after);
+
+        // Cached computed values were derived from the old store
+        markComputedStale();
+
+        if (!emit)
+            return;
+
+        batch(() => {
+            for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+                emitStateDiff(key, before[key], after[key], key in before, key in after);
+            }
+        });
+    }
+
+
+    /**
+     * Fires events for every path that differs between two versions of a value,
+     * descending into objects and arrays present on both sides.
+     */
+    function emitStateDiff(path, oldValue, value, existed, exists) {
+        if (!exists) {
+            if (existed) dispatchDataEvent("deleted", path, undefined, oldValue);
+            return;
+        }
+
+        if (!existed) {
+            dispatchDataEvent("added", path, value, undefined);
+            return;
+        }
+
+        const bothObjects = oldValue && value && typeof oldValue === "object" && typeof value === "object"
+            && Array.isArray(oldValue) === Array.isArray(value);
+
+        if (!bothObjects) {
+            if (!Object.is(oldValue, value))
+                dispatchDataEvent("changed", path, value, oldValue);
+            return;
+        }
+
+        if (sameValue(oldValue, value))
+            return;
+
+        dispatchDataEvent("changed", path, value, oldValue);
+        for (const key of new Set([...Object.keys(oldValue), ...Object.keys(value)])) {
+            emitStateDiff(`${path}.${key}`, oldValue[key], value[key], key in oldValue, key in value);
+        }
+    }
+
+
+    /**
+     * Seeds the store from <script type="application/json" data-state="path"> blocks.
+     * `data-state="user"` sets that path (creating missing parents); an empty
+     * `data-state` merges the block's top-level keys into the root.
+     * Invalid JSON is logged and skipped.
+     *
+     * The blocks are defaults: where one overlaps a path that persist() already
+     * restored from storage, the restored value is kept.
+     *
+     * @param {ParentNode} [root=document]
+     */
+    function loadStateScripts(root = document) {
+        const scripts = root.querySelectorAll('script[type="application/json"][data-state]:not([data-loaded])');
+        const writes = [];
+
+        for (const script of scripts) {
+            script.dataset.loaded = "true";
+
+            let data;
+            try {
+                data = JSON.parse(script.textContent);
+            } catch (e) {
+                console.error("[Frontend] Invalid JSON in <script data-state>:", script, e);
+                continue;
+            }
+
+            const path = script.dataset.state.trim();
+
+            if (!path) {
+                if (!data || typeof data !== "object" || Array.isArray(data)) {
+                    console.error("[Frontend] Root <script data-state> must contain a JSON object:", script);
+                    continue;
+                }
+                for (const [key, value] of Object.entries(data)) writes.push({ path: key, value });
+                continue;
+            }
+
+            writes.push({ path, value: data });
+        }
+
+        if (writes.length === 0)
+            return;
+
+        // --- Restored values win: remember them at the deeper of each overlapping pair ---
+        const kept = new Map();
+        for (const restored of hydratedPaths) {
+            for (const { path } of writes) {
+                let deeper = null;
+                if (path === restored || path.startsWith(`${restored}.`)) deeper = path;
+                else if (restored.startsWith(`${path}.`)) deeper = restored;
+
+                if (deeper && !kept.has(deeper))
+                    kept.set(deeper, getData(deeper));
+            }
+        }
+
+        batch(() => {
+            for (const { path, value } of writes) {
+                setDataCreatingParents(path, value);
+            }
+
+            for (const [path, value] of kept) {
+                if (value !== undefined)
+                    setDataCreatingParents(path, value);
+            }
+        });
+    }
+
+
+    /**
+     * Announces a state change, or holds it back while a batch is open.
+     */
+    function dispatchDataEvent(type, path, value, oldValue) {
+        markDependentsStale(path);
+
+        if (activeTransaction) {
+            activeTransaction.changes.push({ type, path, value, oldValue });
+            holdDataEvent(activeTransaction.held, type, path, value, oldValue);
+            return;
+        }
+
+        if (pendingDataEvents) {
+            holdDataEvent(pendingDataEvents, type, path, value, oldValue);
+            return;
+        }
+
+        emitDataEvent(type, path, value, oldValue);
+    }
+
+
+    /**
+     * Announces a change that sums up events already dispatched for its children,
+     * e.g. an array after splice(). A transaction holds it like any other event
+     * but does not record it: rolling back the children restores it.
+     */
+    function dispatchSummaryEvent(type, path, value, oldValue) {
+        if (activeTransaction) {
+            holdDataEvent(activeTransaction.held, type, path, value, oldValue);
+            return;
+        }
+
+        dispatchDataEvent(type, path, value, oldValue);
+    }
+
+
     /**
-     * Extracts metadata and parameters from a <component> element
-     * into a normalized component context object.
-     *
-     * Components are lightweight instances of templates, created
-     * declaratively in the DOM and parameterized via `param-*` attributes.
-     *
-     * @param {Element} el - The <component> element.
-     * @returns {Object|null} Component context containing:
-     *   - {Element} el           The <component> element itself
-     *   - {string|null} id       Optional unique identifier
-     *   - {string|null} template The template-id to instantiate (required)
-     *   - {string|null} condition Optional JS condition to determine rendering
-     *   - {string|null} fallback  Optional fallback template-id or HTML path
-     *   - {string|null} onload    Optional onload handler
-     *   - {string|null} onerror   Optional onerror handler
-     *   - {boolean} cache         Whether caching is enabled (false if `no-cache` present)
-     *   - {Object} params         Collected param-* attributes + metadata
+     * Finds elements bound to a given path and updates them.
+     * Also fires lifecycle hooks (on-data-added, on-data-changed, etc.).
      */
-    function getComponentData(el) {
-        if (!(el instanceof Element)) {
-            console.error("[Frontend] getComponentData() called with non-element:", el);
-            return null;
-        }
+    function emitDataEvent(type, path, value, oldValue) {
 
-        const id = el.id || null;
-        const template = el.getAttribute("template-id");
-        const condition = el.getAttribute("condition");
-        const fallback = el.getAttribute("fallback");
-        const onload = el.getAttribute("onload");
-        const onerror = el.getAttribute("onerror");
+        updateDataBindings(path, value);
+        scheduleListUpdates(path);
+        scheduleConditionalUpdates(path);
+
+        const keyAttr = `on-data-${type}-key`;
+        const matches = lookupIndexed(path, a => a === keyAttr || a.startsWith(`${keyAttr}@`));
+
+
+        for (const { el, attr } of matches) {
+            const { action: handler, target: targetId } = getDataTrigger(el, attr);
+            if (!handler)
+                continue;
+
+            let targetElement = undefined;
+            if (targetId) {
+                targetElement = document.getElementById(targetId);
+                if (!targetElement) {
+                    console.warn(`[Frontend] on-data-${type}-target element not found: "${targetId}"`);
+                }
+            }
+
+            try {
+                invokeEventAction(handler, el, path, path, oldValue, value, targetElement);
+            } catch (e) {
+                console.error(`[Frontend] Error in on-data-${type} handler for ${path}:`, e);
+            }
 
-        if (!template) {
-            console.warn("[Frontend] <component> missing required template-id:", el);
-            return null;
         }
 
-        // Boolean attribute: if <component no-cache>, then cache = false
-        const cache = !el.hasAttribute("no-cache");
 
-        // Gather param-* attributes like fragments do
-        const params = collectParams(el, template, id);
+        // iterate up the path chain: user.profile.name -> user.profile.*, user.*
+        for (const key of ancestorWildcards(path)) {
+            const childKeyAttr = `on-data-child-${type}-key`;
 
-        return { el, id, template, condition, fallback, onload, onerror, cache, params };
-    }
+            const matches = lookupIndexed(key, a => a === childKeyAttr || a.startsWith(`${childKeyAttr}@`));
+            if (matches.length === 0) continue;
+
+            for (const { el, attr } of matches) {
+                const { action: handler } = getDataTrigger(el, attr);
+                if (!handler)
+                    continue;
+
+                invokeEventAction(handler, el, path, key, oldValue, value, undefined);
+            }
+        }
+
+        notifyWatchers(type, path, value, oldValue);
 
+        dispatch("data:" + type, { path, value, oldValue });
+    }
 
 
     /**
-     * Extracts metadata and parameters from a <fragment> element
-     * into a normalized fragment context object.
+     * Reads the action and target id of a data trigger from its indexed key attribute:
+     * "on-data-changed-key" → the on-data-changed attributes; "...-key@n" → an extra trigger.
      *
-     * @param {Element} el - The <fragment> element.
-     * @returns {Object} Fragment context containing:
-     *   - {Element} el         The fragment element
-     *   - {string|null} id     Fragment id, if present
-     *   - {string} src         Main source URL
-     *   - {string|null} condition   Optional JS condition
-     *   - {string|null} fallback    Optional fallback URL
-     *   - {string|null} onload      Optional onload handler
-     *   - {string|null} onerror     Optional onerror handler
-     *   - {boolean} cache      Whether caching is enabled (false if `no-cache` present)
-     *   - {Object} params      Collected param-* attributes + metadata
+     * @param {Element} el
+     * @param {string} keyAttr
+     * @returns {{action: string|null, target: string|null}}
      */
-    function getFragmentData(el) {
-        if (!(el instanceof Element)) {
-            console.error("[Frontend] getFragmentData() called with non-element:", el);
-            return null;
+    function getDataTrigger(el, keyAttr) {
+        if (keyAttr.includes("@")) {
+            const t = extraTriggers.get(el)?.find(t => t.indexAttr === keyAttr);
+            return { action: t?.action ?? null, target: t?.target ?? null };
         }
 
-        const id = el.id || null;
-        const src = el.getAttribute("src");
-        const condition = el.getAttribute("condition");
-        const fallback = el.getAttribute("fallback");
-        const onload = el.getAttribute("onload");
-        const onerror = el.getAttribute("onerror");
+        const baseName = keyAttr.slice(0, -"-key".length);
+        return { action: el.getAttribute(baseName), target: el.getAttribute(`${baseName}-target`) };
+    }
 
-        // Boolean attribute: if <fragment no-cache>, then cache = false
-        const cache = !el.hasAttribute("no-cache");
 
-        const params = collectParams(el, src, id);
+    function invokeEventAction(handler, el, key, matchedOn, oldValue, value, targetElement) {
 
-        return { el, id, src, condition, fallback, onload, onerror, cache, params };
+        try {
+            new Function("el", "key", "matchedOn", "value", "oldValue", "targetElement", handler)(
+                el, key, matchedOn, value, oldValue, targetElement
+            );
+
+        } catch (e) {
+            console.error(`[Frontend] Error in event handler:`, e);
+        }
     }
 
+
     /**
-     * Extracts metadata and attributes from a <trigger> element
-     * into a normalized trigger context object.
+     * Runs an inline lifecycle handler attribute (e.g. onload="...", onerror="...").
+     * Each key of `args` becomes a variable available to the handler code,
+     * and `this` is bound to `args.el`.
      *
-     * A <trigger> element defines a declarative event binding
-     * for its parent element, describing how it should react
-     * to a specific event on a source element.
+     * @param {string|null} handler - The handler source code.
+     * @param {Object} args         - Named arguments exposed to the handler.
+     */
+    function invokeLifecycleHandler(handler, args) {
+        if (!handler)
+            return;
+
+        try {
+            new Function(...Object.keys(args), handler).apply(args.el, Object.values(args));
+        } catch (e) {
+            console.error(`[Frontend] Error in lifecycle handler:`, e);
+        }
+    }
+
+
+    /***************************************************************************************
      *
-     * @param {Element} el - The <trigger> element.
-     * @returns {Object|null} Trigger context containing:
-     *   - {Element} el             The <trigger> element
-     *   - {Element|null} parent    The parent element that owns this trigger
-     *   - {string|null} from       CSS selector of source element (null = parent)
-     *   - {string|null} on         Event name (required)
-     *   - {string|null} target     CSS selector of target element (null = parent)
-     *   - {string|null} condition  Optional JS expression guard
-     *   - {string|null} action     JS expression or function body to execute
-     *   - {boolean} once           If true, the trigger runs only once
-     *   - {boolean} prevent        If true, calls e.preventDefault()
-     *   - {boolean} stop           If true, calls e.stopPropagation()
+     * State Watch Functions
+     * ---------------------
+     * Frontend.watch() subscribes a callback to state changes by pattern:
+     *
+     *   "user.name"       that exact path
+     *   "user.*"          anything below user (same rule as on-data-child-*-key)
+     *   "cart.items.**"   cart.items itself and anything below it
+     *
+     * Watchers are indexed by pattern, so each change only looks up the exact
+     * path and its ancestor wildcards.
+     *
+     **************************************************************************************/
+
+    /** Pattern → Set<callback> */
+    const watchers = new Map();
+
+
+    /**
+     * Returns the wildcard patterns that match a path through its ancestors,
+     * nearest first: "user.profile.name" → ["user.profile.*", "user.*"].
+     *
+     * @param {string} path
+     * @param {string} [suffix="*"] - Wildcard to append ("*" or "**").
+     * @returns {string[]}
      */
-    function getTriggerData(el) {
-        if (!(el instanceof Element)) {
-            console.error("[Frontend] getTriggerData() called with non-element:", el);
-            return null;
+    function ancestorWildcards(path, suffix = "*") {
+        const parts = path.split(".");
+        const patterns = [];
+        for (let i = parts.length - 1; i > 0; i--) {
+            patterns.push(parts.slice(0, i).join(".") + "." + suffix);
         }
+        return patterns;
+    }
 
-        const parent = el.parentElement || null;
 
-        const on = el.getAttribute("on");
-        const key = el.getAttribute("key");
-        const target = el.getAttribute("target");
-        const condition = el.getAttribute("condition");
-        const action = el.getAttribute("action");
+    /**
+     * Subscribes to state changes matching a pattern.
+     *
+     * @param {string} pattern - Exact path, "path.*" or "path.**".
+     * @param {Function} callback - Called with { type, path, value, oldValue }.
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate=false] - Also call back right away with the current
+     *                                              value (type "initial").
+     * @param {boolean} [options.deep=false] - For an exact path, also match everything below it
+     *                                         (same as "path.**").
+     * @returns {Function} Unsubscribes the callback.
+     */
+    function watch(pattern, callback, { immediate = false, deep = false } = {}) {
+        if (typeof pattern !== "string" || !pattern || typeof callback !== "function") {
+            console.error("[Frontend] watch() requires a pattern string and a callback function");
+            return () => {};
+        }
 
-        // Boolean modifiers
-        const once = el.hasAttribute("once");
-        const prevent = el.hasAttribute("prevent");
-        const stop = el.hasAttribute("stop");
+        const base = pattern.replace(/\.\*{1,2}$/, "");
+        const key = deep && base === pattern ? `${pattern}.**` : pattern;
 
-        if (!on || !action) {
-            console.warn("[Frontend] Ignored <trigger> missing 'on' or 'action':", el);
-            return null;
+        if (!watchers.has(key)) watchers.set(key, new Set());
+        watchers.get(key).add(callback);
+
+        if (immediate) {
+            runWatcher(callback, { type: "initial", path: base, value: getData(base), oldValue: undefined });
         }
 
-        return {
-            el,
-            parent,
-            key: key || null,
-            on: on || null,
-            target: target || null,
-            condition: condition || null,
-            action: action || null,
-            once,
-            prevent,
-            stop
+        return () => {
+            const set = watchers.get(key);
+            set?.delete(callback);
+            if (set?.size === 0) watchers.delete(key);
         };
     }
 
-    /***************************************************************************************
-    *
-    * Behavior Utility Functions
-    * 
-    ***************************************************************************************/
 
     /**
-     * Registers a single <behavior> element into the global behavior map.
-     * 
-     * - Extracts the id and its child <trigger> definitions.
-     * - Skips duplicates with a clear warning.
-     * 
-     * @param {Element} bEl - The <behavior> element.
-     * @param {string} [source="unknown"] - Optional label (e.g. "inline" or file path).
+     * Returns the watch patterns a change to `path` matches.
+     *
+     * @param {string} path
+     * @returns {string[]}
      */
-    function registerBehaviorElement(bEl, source = "unknown") {
+    function getMatchingPatterns(path) {
+        return [path, `${path}.**`, ...ancestorWildcards(path), ...ancestorWildcards(path, "**")];
+    }
 
-        if (!(bEl instanceof Element)) {
-            console.error("[Frontend] registerBehaviorElement() called with non-element:", bEl);
+
+    /**
+     * Calls every watcher whose pattern matches a changed path.
+     *
+     * @param {string} type - "added", "changed" or "deleted".
+     * @param {string} path
+     * @param {*} value
+     * @param {*} oldValue
+     */
+    function notifyWatchers(type, path, value, oldValue) {
+        if (watchers.size === 0)
             return;
-        }
 
-        const id = bEl.id?.trim();
+        const patterns = getMatchingPatterns(path);
+        const change = { type, path, value, oldValue };
 
-        if (!id) {
-            console.warn(`[Frontend] Ignored <behavior> without id (${source})`);
-            return;
-        }
+        for (const pattern of patterns) {
+            const set = watchers.get(pattern);
+            if (!set) continue;
 
-        // --- Duplicate guard ---
-        if (Frontend._behaviors.has(id)) {
-            console.warn(`[Frontend] Duplicate behavior id "${id}" encountered in ${source} — skipped`);
-            return;
+            for (const callback of [...set]) {
+                runWatcher(callback, change);
+            }
         }
+    }
 
-        // --- Extract triggers ---
-        const triggers = findChildTriggers(bEl).map(getTriggerData);
-        if (triggers.length === 0) {
-            console.warn(`[Frontend] Behavior "${id}" (${source}) has no triggers — skipped`);
-            return;
-        }
 
-        // --- Store in global registry ---
-        Frontend._behaviors.set(id, triggers);
-        console.log(`[Frontend] Registered behavior "${id}" (${triggers.length} triggers) from ${source}`);
+    /**
+     * Runs a watcher callback, logging (not rethrowing) its errors.
+     *
+     * @param {Function} callback
+     * @param {Object} change - { type, path, value, oldValue }
+     */
+    function runWatcher(callback, change) {
+        try {
+            callback(change);
+        } catch (e) {
+            console.error(`[Frontend] Error in watcher for ${change.path}:`, e);
+        }
     }
 
 
     /***************************************************************************************
      *
-     * Trigger DOM Utility Functions
-     * 
-     ***************************************************************************************/
+     * Computed State Functions
+     * ------------------------
+     * Frontend.computed() registers a read-only path whose value is derived from
+     * other paths. It is resolved by getData() (and so by {{placeholders}} and
+     * data-bind-*), recomputed lazily after its dependencies change, and announced
+     * with a normal data:changed event only when the result differs.
+     *
+     **************************************************************************************/
+
+    /** Computed path → { path, deps, patterns, fn, value, emitted, dirty, computing, scheduled, unwatch } */
+    const computedValues = new Map();
+
 
     /**
-     * Recursively compiles all <trigger> elements within a subtree.
+     * Registers a derived, read-only state path.
      *
-     * @param {ParentNode} root - The root element or fragment wrapper to scan.
+     * @param {string} path - The computed path, e.g. "cart.total".
+     * @param {string[]} deps - Watch patterns it depends on ("cart.items.**", "user.*", ...).
+     * @param {Function} fn - Receives the dependency values (wildcards stripped), in order.
+     * @returns {Function} Removes the computed path again.
+     *
+     * Example:
+     *   Frontend.computed("cart.total", ["cart.items.**"], items =>
+     *       items.reduce((sum, i) => sum + i.price * i.qty, 0));
      */
-    function buildTriggers(root = document) {
+    function computed(path, deps, fn) {
+        if (typeof path !== "string" || !path || !Array.isArray(deps) || typeof fn !== "function") {
+            console.error("[Frontend] computed() requires a path, an array of dependencies and a function");
+            return () => {};
+        }
 
-        if (!(root instanceof Element) && root !== document) {
-            console.error("[Frontend] buildTriggers() called with non-element:", root);
-            return;
+        if (computedValues.has(path)) {
+            console.error(`[Frontend] computed("${path}") is already registered`);
+            return () => {};
         }
 
-        // --- Step 1: Build triggers for the root itself (if it has any immediate <trigger> children)
-        if (root instanceof Element && root.matches(':has(> trigger)')) {
-            buildElementTriggers(root);
+        const cycle = findComputedCycle(path, deps, [path]);
+        if (cycle) {
+            console.error(`[Frontend] computed("${path}"): dependency cycle ${cycle.join(" → ")}`);
+            return () => {};
         }
 
-        // --- Step 2: Find all descendants that have immediate <trigger> children
-        const elementsWithTriggers = root.querySelectorAll(':has(> trigger)');
+        const patterns = getComputedWatchPatterns(deps);
+        const entry = { path, deps, patterns, fn, value: undefined, emitted: undefined, dirty: true, computing: false, scheduled: false };
+        const unwatchers = patterns.map(pattern => watch(pattern, () => invalidateComputed(entry)));
+        entry.unwatch = () => unwatchers.forEach(stop => stop());
 
-        // --- Step 3: Apply triggers for each
-        elementsWithTriggers.forEach(el => buildElementTriggers(el));
+        computedValues.set(path, entry);
+
+        entry.emitted = readComputed(entry);
+        if (entry.emitted !== undefined)
+            dispatchDataEvent("added", path, entry.emitted, undefined);
+
+        return () => {
+            if (computedValues.get(path) !== entry)
+                return;
+
+            entry.unwatch();
+            computedValues.delete(path);
+            if (entry.emitted !== undefined)
+                dispatchDataEvent("deleted", path, undefined, entry.emitted);
+        };
     }
 
 
+    /**
+     * The patterns a computed value watches: each dependency plus the exact
+     * paths above it, so removing or replacing "cart" invalidates a value that
+     * depends on "cart.items.**".
+     *
+     * @param {string[]} deps
+     * @returns {string[]}
+     */
+    function getComputedWatchPatterns(deps) {
+        const patterns = new Set(deps);
+
+        for (const dep of deps) {
+            const segments = dep.replace(/\.\*{1,2}$/, "").split(".");
+            for (let i = 1; i <= segments.length; i++) {
+                patterns.add(segments.slice(0, i).join("."));
+            }
+        }
+
+        return Array.from(patterns);
+    }
 
 
     /**
-     * Compiles all immediate <trigger> children of an element
-     * into executable attribute-based bindings.
-     *
-     * This is typically called during fragment parsing or component
-     * initialization to resolve declarative trigger markup into
-     * actual behavior definitions on the element.
+     * Looks for a chain of computed paths leading from `deps` back to `trail[0]`.
      *
-     * @param {Element} el - The element to process.
+     * @param {string} path   - The computed path being checked.
+     * @param {string[]} deps - Its dependency patterns.
+     * @param {string[]} trail - Paths visited so far, starting with the new one.
+     * @returns {string[]|null} The cycle (e.g. ["a", "b", "a"]), or null.
      */
-    function buildElementTriggers(el) {
-        if (!(el instanceof Element)) {
-            console.error("[Frontend] buildElementTriggers() called with non-element:", el);
-            return;
-        }
+    function findComputedCycle(path, deps, trail) {
+        for (const dep of deps) {
+            const base = dep.replace(/\.\*{1,2}$/, "");
+            const wildcard = base !== dep;
 
-        // Step 1: Find all immediate <trigger> children
-        const triggers = findChildTriggers(el);
-        if (triggers.length === 0)
-            return;
+            const covered = [trail[0], ...computedValues.keys()].filter(p =>
+                p === base || (wildcard && p.startsWith(base + ".")));
 
-        // Step 2: Apply (compile) those triggers to the element
-        applyTriggersToElement(el, triggers);
+            for (const p of covered) {
+                if (p === trail[0])
+                    return [...trail, p];
 
-        // Step 3: Clean up any lingering <trigger> tags (defensive)
-        for (const trig of triggers) {
-            if (trig.parentNode === el) {
-                trig.remove();
+                if (trail.includes(p))
+                    continue;
+
+                const cycle = findComputedCycle(p, computedValues.get(p).deps, [...trail, p]);
+                if (cycle)
+                    return cycle;
             }
         }
+
+        return null;
     }
 
 
     /**
-     * Finds all immediate (non-nested) <trigger> elements
-     * that are direct children of a given parent element.
-     *
-     * This is used during parsing or initialization to attach
-     * triggers only to their owning element, not deeper descendants.
-     *
-     * Example:
-     *   <div>
-     *     <trigger on="click" do="..."></trigger>      ← included
-     *     <span><trigger on="click" do="..."></trigger></span>  ← excluded
-     *   </div>
+     * Finds the computed entry that owns a path (the path itself or an ancestor).
      *
-     * @param {Element} parent - The parent element to scan.
-     * @returns {Element[]} Ordered array of direct <trigger> elements.
+     * @param {string} path
+     * @returns {{entry: Object, rest: string[]}|null} The entry and the keys below it.
      */
-    function findChildTriggers(parent) {
-        if (!(parent instanceof Element)) {
-            console.error("[Frontend] findChildTriggers() called with non-element:", parent);
-            return [];
+    function findComputed(path) {
+        const keys = path.split(".");
+        for (let i = keys.length; i > 0; i--) {
+            const entry = computedValues.get(keys.slice(0, i).join("."));
+            if (entry)
+                return { entry, rest: keys.slice(i) };
         }
+        return null;
+    }
 
-        const triggers = [];
 
-        for (const child of parent.children) {
-            if (child.tagName.toLowerCase() === "trigger") {
-                triggers.push(child);
-            }
+    /**
+     * Returns a computed value, recomputing it first if a dependency changed.
+     *
+     * @param {Object} entry
+     * @returns {*}
+     */
+    function readComputed(entry) {
+        if (!entry.dirty)
+            return entry.value;
+
+        if (entry.computing) {
+            console.error(`[Frontend] computed("${entry.path}"): dependency cycle — it was read while computing itself`);
+            return entry.value;
         }
 
-        return triggers;
-    }
+        entry.computing = true;
+        try {
+            const args = entry.deps.map(dep => getData(dep.replace(/\.\*{1,2}$/, "")));
+            entry.value = entry.fn(...args);
+        } catch (e) {
+            console.error(`[Frontend] Error computing "${entry.path}":`, e);
+            entry.value = undefined;
+        } finally {
+            entry.computing = false;
+        }
 
+        entry.dirty = false;
+        return entry.value;
+    }
 
 
     /**
-     * Translates <trigger> child elements into equivalent
-     * inline event or data attributes on the parent element.
+     * Marks a computed value stale and schedules a check for whether it changed.
+     * Several dependency changes in the same task lead to one recompute.
      *
-     * Each <trigger> element is consumed and removed after compilation.
-     *
-     * @param {Element} parent     The element to apply triggers to.
-     * @param {Element[]} triggers The immediate <trigger> child elements.
+     * @param {Object} entry
      */
-    function applyTriggersToElement(parent, triggers) {
+    function invalidateComputed(entry) {
+        entry.dirty = true;
 
-        if (!(parent instanceof Element)) {
-            console.error("[Frontend] applyTriggersToElement() called with non-element:", parent);
+        if (entry.scheduled)
             return;
-        }
 
-        if (!Array.isArray(triggers) || triggers.length === 0)
-            return;
+        entry.scheduled = true;
+        queueMicrotask(() => {
+            entry.scheduled = false;
+            if (computedValues.get(entry.path) !== entry)
+                return;
 
-        for (const trigEl of triggers) {
-            const t = getTriggerData(trigEl);
-            if (!t) continue;
+            const value = readComputed(entry);
+            if (sameValue(value, entry.emitted))
+                return;
 
-            // Build a normalized attribute representation
-            // For example: <trigger on="click" do="..." condition="...">
-            // → <div on-click="..." data-trigger-condition="...">
-            const baseName = `on-${t.on}`;
+            const oldValue = entry.emitted;
+            entry.emitted = value;
+            dispatchDataEvent(oldValue === undefined ? "added" : "changed", entry.path, value, oldValue);
+        });
+    }
 
-            // Set primary action attribute
-            if (t.action) {
-                parent.setAttribute(baseName, t.action);
-            }
 
-            // Optional target/from scoping
-            if (t.key) {
-                parent.setAttribute(`${baseName}-key`, t.key);
-            }
-            if (t.target) {
-                parent.setAttribute(`${baseName}-target`, t.target);
-            }
+    /**
+     * Marks the computed values that depend on a path stale as soon as it is
+     * written, so reads inside a batch or transaction see the new state. Their
+     * data:changed still waits for the (possibly held) event that reaches the
+     * watcher. Computed values built on a stale one go stale with it.
+     *
+     * @param {string} path - The path that was just written.
+     */
+    function markDependentsStale(path) {
+        if (computedValues.size === 0)
+            return;
 
-            // Boolean flags
-            if (t.once) parent.setAttribute(`${baseName}-once`, "");
-            if (t.prevent) parent.setAttribute(`${baseName}-prevent`, "");
-            if (t.stop) parent.setAttribute(`${baseName}-stop`, "");
+        const matching = new Set(getMatchingPatterns(path));
 
-            // Remove the trigger element after compilation
-            trigEl.remove();
+        for (const entry of computedValues.values()) {
+            if (entry.dirty || !entry.patterns.some(p => matching.has(p)))
+                continue;
+
+            entry.dirty = true;
+            markDependentsStale(entry.path);
         }
     }
 
 
-
-    async function buildDataBindings(root = document) {
-        // --- Step 1: Build triggers for the root itself (if it has any immediate <data-binding> children)
-        if (root instanceof Element && root.matches(':has(> data-binding)')) {
-            buildElementDataBindings(root);
+    /** Marks every computed value stale without announcing anything (state was replaced underneath). */
+    function markComputedStale() {
+        for (const entry of computedValues.values()) {
+            entry.dirty = true;
         }
+    }
 
-        // --- Step 2: Find all descendants that have immediate <data-binding> children
-        const elementsWithDataBindings = root.querySelectorAll(':has(> data-binding)');
 
-        // --- Step 3: Apply Data Bindings for each
-        elementsWithDataBindings.forEach(el => buildElementDataBindings(el));
+    /**
+     * Compares two computed results: identical primitives, or objects with
+     * the same JSON form.
+     */
+    function sameValue(a, b) {
+        if (Object.is(a, b))
+            return true;
 
+        if (a === null || b === null || typeof a !== "object" || typeof b !== "object")
+            return false;
+
+        try {
+            return JSON.stringify(a) === JSON.stringify(b);
+        } catch {
+            return false;
+        }
     }
 
-    async function buildElementDataBindings(el) {
 
-        if (!(el instanceof Element)) {
-            console.error("[Frontend] buildElementDataBindings() called with non-element:", el);
-            return;
-        }
+    /***************************************************************************************
+     *
+     * Persistence Functions
+     * ---------------------
+     * Frontend.persist() mirrors a state subtree into localStorage or sessionStorage.
+     * The stored copy is loaded back into state straight away, so calling persist()
+     * before initialize() means bindings see the restored values on first render.
+     * Later changes under the path are written back, debounced.
+     *
+     * Entries are stored under "frontend:<path>" as { version, data }.
+     *
+     **************************************************************************************/
 
-        // Step 1: Find all immediate <data-binding> children
-        const bindings = findChildDataBindings(el);
-        if (bindings.length === 0)
-            return;
+    /** Path → pending write (flushed on pagehide so debounced writes are not lost) */
+    const pendingPersistWrites = new Map();
 
-        // Step 2: Apply (compile) those triggers to the element
-        applyDataBindingsToElement(el, bindings);
+    /** Persisted paths whose stored value was restored (data-state does not override them) */
+    const hydratedPaths = new Set();
 
-        // Step 3: Clean up any lingering <data-bindings> tags 
-        for (const bind of bindings) {
-            if (bind.parentNode === el) {
-                bind.remove();
-            }
+
+    /**
+     * Persists a state subtree across page loads.
+     *
+     * @param {string} path - The subtree to persist, e.g. "settings".
+     * @param {Object} [options]
+     * @param {"local"|"session"} [options.storage="local"] - Which Web Storage area to use.
+     * @param {number} [options.version=1] - Schema version written with the data.
+     * @param {Function} [options.migrate] - (data, storedVersion) → data, for older versions.
+     *                                        Without it, data from another version is discarded.
+     * @param {number} [options.debounce=100] - ms to wait after a change before writing.
+     * @returns {Function} Stops persisting (the stored copy is kept).
+     */
+    function persist(path, { storage = "local", version = 1, migrate, debounce = 100 } = {}) {
+        const area = getStorageArea(storage);
+        if (!area)
+            return () => {};
+
+        const storageKey = `frontend:${path}`;
+
+        // --- Hydrate ---
+        const stored = readPersisted(area, storageKey, version, migrate);
+        if (stored !== undefined) {
+            setDataCreatingParents(path, stored);
+            hydratedPaths.add(path);
         }
-    }
 
-    function findChildDataBindings(parent) {
+        // --- Write back on change ---
+        let timer = null;
+        const write = () => {
+            clearTimeout(timer);
+            timer = null;
+            pendingPersistWrites.delete(storageKey);
+            writePersisted(area, storageKey, version, getData(path));
+        };
 
-        if (!(parent instanceof Element)) {
-            console.error("[Frontend] findChildDataBindings() called with non-element:", parent);
-            return [];
-        }
+        const unwatch = watch(path, () => {
+            clearTimeout(timer);
+            timer = setTimeout(write, debounce);
+            pendingPersistWrites.set(storageKey, write);
+        }, { deep: true });
 
-        const bindings = [];
+        listenForPageHide();
 
-        for (const child of parent.children) {
-            if (child.tagName.toLowerCase() === "data-binding") {
-                bindings.push(child);
-            }
+        return () => {
+            unwatch();
+            clearTimeout(timer);
+            pendingPersistWrites.delete(storageKey);
+            hydratedPaths.delete(path);
+        };
+    }
+
+
+    /**
+     * Returns localStorage / sessionStorage, or null if it is unavailable
+     * (blocked by privacy settings, sandboxed iframes, ...).
+     *
+     * @param {string} storage - "local" or "session".
+     * @returns {Storage|null}
+     */
+    function getStorageArea(storage) {
+        if (storage !== "local" && storage !== "session") {
+            console.error(`[Frontend] persist(): unknown storage "${storage}" (use "local" or "session")`);
+            return null;
         }
 
-        return bindings;
+        try {
+            return storage === "local" ? window.localStorage : window.sessionStorage;
+        } catch (e) {
+            console.warn(`[Frontend] persist(): ${storage}Storage is not available — state will not persist`, e);
+            return null;
+        }
     }
 
-    function applyDataBindingsToElement(parent, bindings) {
-        if (!(parent instanceof Element)) {
-            console.error("[Frontend] applyDataBindingsToElement() called with non-element:", parent);
-            return;
-        }
 
-        if (!Array.isArray(bindings) || bindings.length === 0)
-            return;
+    /**
+     * Reads and unwraps a persisted entry, migrating or discarding data
+     * written by another version. Corrupt entries are removed.
+     *
+     * @returns {*} The stored data, or undefined if there is nothing usable.
+     */
+    function readPersisted(area, storageKey, version, migrate) {
+        let entry;
+        try {
+            const raw = area.getItem(storageKey);
+            if (raw === null)
+                return undefined;
 
-        for (const binding of bindings) {
-            const bindingKey = binding.getAttribute("key");
-            const bindingTarget = binding.getAttribute("target");
+            entry = JSON.parse(raw);
+        } catch (e) {
+            console.warn(`[Frontend] persist(): discarding unreadable "${storageKey}"`, e);
+            try { area.removeItem(storageKey); } catch { /* storage unavailable */ }
+            return undefined;
+        }
 
-            if (!bindingKey || !bindingTarget) {
-                trigEl.remove();
-                continue;
-            }
+        if (!entry || typeof entry !== "object" || !("data" in entry)) {
+            console.warn(`[Frontend] persist(): discarding malformed "${storageKey}"`);
+            return undefined;
+        }
 
+        if (entry.version === version)
+            return entry.data;
 
-            const baseName = `data-binding-${bindingTarget}`;
-            parent.setAttribute(baseName, bindingKey);
+        if (typeof migrate !== "function") {
+            console.info(`[Frontend] persist(): "${storageKey}" is version ${entry.version}, expected ${version} — discarded`);
+            return undefined;
+        }
 
-            binding.remove();
+        try {
+            return migrate(entry.data, entry.version);
+        } catch (e) {
+            console.warn(`[Frontend] persist(): migrating "${storageKey}" from version ${entry.version} failed — discarded`, e);
+            return undefined;
         }
     }
+
+
     /**
-     * Collects params from a <fragment> element.
-     * - param-* attributes → { key: value }
-     * - frag_id (if present)
-     * - frag_src (always included)
+     * Writes a persisted entry (or removes it when the value is gone).
+     * Quota and serialization errors are logged, not thrown.
      */
-    function collectParams(frag, src, fragId) {
-        const params = {};
-        frag.getAttributeNames()
-            .filter(n => n.startsWith("param-"))
-            .forEach(n => params[n.replace("param-", "")] = frag.getAttribute(n));
+    function writePersisted(area, storageKey, version, data) {
+        try {
+            if (data === undefined) {
+                area.removeItem(storageKey);
+            } else {
+                area.setItem(storageKey, JSON.stringify({ version, data }));
+            }
+        } catch (e) {
+            const quota = e?.name === "QuotaExceededError" || e?.code === 22;
+            console.warn(`[Frontend] persist(): could not save "${storageKey}"${quota ? " — storage quota exceeded" : ""}`, e);
+        }
+    }
 
-        if (fragId)
-            params.frag_id = fragId;
 
-        params.frag_src = src;
-        return params;
+    let listeningForPageHide = false;
+
+    /** Flushes debounced writes when the page is hidden or unloaded. */
+    function listenForPageHide() {
+        if (listeningForPageHide)
+            return;
+
+        listeningForPageHide = true;
+        window.addEventListener("pagehide", () => {
+            for (const write of [...pendingPersistWrites.values()]) write();
+        });
     }
 
+
     /***************************************************************************************
      *
-     * Trigger Compilation Utility Functions
-     * 
-     ***************************************************************************************/
-
+     * History Functions
+     * -----------------
+     * Opt-in undo/redo for the store. Frontend.history.track(pattern) records every
+     * change matching the pattern; changes made in the same tick (or the same batch)
+     * form one undo step. Undo and redo write the recorded values back through
+     * setData() / removeData() inside a batch, so bindings, lists and watchers
+     * update as usual. "$history.canUndo" and "$history.canRedo" hold booleans that
+     * can be bound like any other path (they live outside user state).
+     *
+     **************************************************************************************/
 
+    const undoStack = [];
+    const redoStack = [];
+    let historyGroup = null;        // changes recorded in the current tick
+    let replayingHistory = false;
+    const recordedChanges = new WeakSet();
 
 
     /**
-     * Determines which source URL to load for a fragment context.
-     *
-     * This function inspects the fragment’s `condition` and `fallback` attributes
-     * (already extracted into the fragment context object) and evaluates whether
-     * the main `src` should be used. The condition is executed as a JavaScript
-     * expression, with both the `frag` context object and its underlying element
-     * (`frag.el`) available as variables.
-     *
-     * Evaluation order:
-     *   1. If no `condition` is specified → use `src`.
-     *   2. If `condition` evaluates truthy → use `src`.
-     *   3. If `condition` evaluates falsy → use `fallback`, if provided.
-     *   4. If neither applies → return `null` (caller should remove the element).
-     *
-     * @param {Object} fragData
-     *        The fragment context object, expected to contain:
-     *          - {Element} el         The actual <fragment> element in the DOM.
-     *          - {string} src         The main source URL.
-     *          - {string|null} condition  Optional JavaScript expression to evaluate.
-     *          - {string|null} fallback   Optional fallback URL if the condition fails.
-     *
-     * @returns {string|null}
-     *          The resolved source URL to load, or `null` if no valid source applies.
+     * Starts recording changes that match a watch pattern.
      *
-    */
-    function resolveFragmentSource(fragData) {
-
-        if (!fragData || typeof fragData !== "object" || !fragData.el) {
-            console.error("[Frontend] Invalid fragment context passed to resolveSource:", fragData);
-            return null;
-        }
+     * @param {string} pattern - e.g. "document.**"
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Undo steps kept for changes recorded by this call.
+     * @returns {Function} Stops recording this pattern (recorded steps are kept).
+     */
+    function trackHistory(pattern, { limit = 100 } = {}) {
+        const tracker = { pattern, limit: Math.max(1, limit) };
+        updateHistoryFlags();
+        return watch(pattern, change => recordHistoryChange(change, tracker));
+    }
 
-        const el = fragData.el;
-        const src = fragData.src ?? null;
-        const condition = fragData.condition ?? null;
-        const fallback = fragData.fallback ?? null;
 
-        if (!condition) {
-            return src;
-        }
+    /**
+     * Watch callback: adds a change to the current undo step.
+     *
+     * @param {Object} change - { type, path, value, oldValue }
+     * @param {Object} tracker - The trackHistory() call that recorded it.
+     */
+    function recordHistoryChange(change, tracker) {
+        if (replayingHistory || recordedChanges.has(change))
+            return;
 
-        try {
-            const ok = new Function("frag", "el", `return (${condition});`)(fragData, el);
-            if (ok) {
-                return src;
-            }
-        } catch (e) {
-            console.error("[Frontend] Invalid fragment condition:", condition, e);
-        }
+        if (isRuntimePath(change.path) || findComputed(change.path))
+            return;
 
-        if (fallback) {
-            return fallback;
+        recordedChanges.add(change);
+
+        if (!historyGroup) {
+            historyGroup = [];
+            queueMicrotask(closeHistoryGroup);
         }
 
-        return null;
+        historyGroup.push({
+            path: change.path,
+            value: cloneHistoryValue(change.value),
+            oldValue: cloneHistoryValue(change.oldValue),
+            tracker
+        });
     }
 
 
+    /** Turns the changes recorded in this tick into one undo step. */
+    function closeHistoryGroup() {
+        if (!historyGroup)
+            return;
+
+        const group = historyGroup;
+        historyGroup = null;
+
+        if (group.length === 0)
+            return;
+
+        undoStack.push(group);
+        trimHistory();
+
+        redoStack.length = 0;
+        updateHistoryFlags();
+    }
+
 
     /**
-     * Fetches the HTML for a fragment source URL.
-     * Falls back to inline content if the request fails.
-     * Returns null if no external or fallback content could be used.
+     * Applies each tracker's limit: once a tracker has changes in more than
+     * `limit` undo steps, its changes are dropped from the older ones. Steps
+     * left empty are removed.
      */
-    async function fetchFragment(frag) {
+    function trimHistory() {
+        const stepsSeen = new Map();    // tracker → newer steps holding its changes
 
-        const src = frag.src;
-        const fragEl = frag.el;
+        for (let i = undoStack.length - 1; i >= 0; i--) {
+            const trackers = new Set(undoStack[i].map(c => c.tracker));
 
-        try {
-            const response = await fetch(src);
+            for (const tracker of trackers) {
+                const seen = (stepsSeen.get(tracker) || 0) + 1;
+                stepsSeen.set(tracker, seen);
 
-            if (!response.ok) {
-                console.warn(`[Frontend] Fragment fetch failed: ${src} (HTTP ${response.status})`);
-                return null;
+                if (seen > tracker.limit)
+                    undoStack[i] = undoStack[i].filter(c => c.tracker !== tracker);
             }
 
-            return await response.text();
-
-        } catch (e) {
-            console.error(`[Frontend] Error fetching fragment "${src}":`, e);
-            return null;
+            if (undoStack[i].length === 0)
+                undoStack.splice(i, 1);
         }
     }
 
+
     /**
-     * Replaces a fragment element with its inline fallback content, if any.
-     * Returns null (so callers can handle consistently).
+     * Reverts the most recent undo step.
+     *
+     * @returns {boolean} False if there was nothing to undo.
      */
-    function useInlineFallback(frag) {
-        const src = frag.src;
-        const fragEl = frag.el;
-        const fallbackContent = fragEl.innerHTML.trim();
+    function undo() {
+        closeHistoryGroup();
 
-        if (fallbackContent) {
-            console.info(`[Frontend] Using inline fallback for fragment: ${src}`);
-            const wrapper = document.createElement("div");
-            wrapper.innerHTML = fallbackContent;
-            const newNodes = Array.from(wrapper.childNodes);
-            fragEl.replaceWith(...newNodes);
-        } else {
-            console.warn(`[Frontend] No inline fallback for fragment: ${src}`);
-            fragEl.remove();
-        }
+        const group = undoStack.pop();
+        if (!group)
+            return false;
 
-        return null;
+        replayHistory(group.slice().reverse().map(c => ({ path: c.path, value: c.oldValue })));
+        redoStack.push(group);
+        updateHistoryFlags();
+        return true;
     }
 
 
     /**
-     * Performs {{param}} substitution in a fragment’s HTML string.
-     * 
-     * Priority order:
-     *   1. Fragment-level params (from param-* attributes, frag_id, frag_src)
-     *   2. Global state values (via Frontend.getData)
-     *   3. Otherwise: leave the token untouched (e.g., {{key}})
-     * 
-     * Supports dot-notation paths (e.g., {{user.name}}).
-     * 
-     * @param {string} html   The raw HTML text to process.
-     * @param {Object} params Key-value pairs collected from the fragment element.
-     * @returns {string} The HTML string with placeholders replaced where possible.
+     * Re-applies the most recently undone step.
      *
-     * Example:
-     *   params = { theme: "dark", frag_id: "profile" }
-     *   state  = { user: { name: "Alice" } }
-     *
-     *   Input:  "<div class='{{theme}}'>{{user.name}} ({{missing}})</div>"
-     *   Output: "<div class='dark'>Alice ({{missing}})</div>"
+     * @returns {boolean} False if there was nothing to redo.
      */
-    function substituteParams(html, params) {
-        return html.replace(/{{\s*([\w.$-]+)\s*}}/g, (match, key) => {
-            // 1. Explicit fragment params take priority
-            if (params && key in params) return params[key];
+    function redo() {
+        closeHistoryGroup();
 
-            // 2. Fallback to global state (dot paths supported)
-            const stateVal = getData(key);
-            if (stateVal !== undefined && stateVal !== null) return stateVal;
+        const group = redoStack.pop();
+        if (!group)
+            return false;
 
-            // 3. Unknown → leave token as-is
-            return match;
-        });
+        replayHistory(group.map(c => ({ path: c.path, value: c.value })));
+        undoStack.push(group);
+        updateHistoryFlags();
+        return true;
     }
 
 
+    /** Forgets all undo and redo steps. */
+    function clearHistory() {
+        historyGroup = null;
+        undoStack.length = 0;
+        redoStack.length = 0;
+        updateHistoryFlags();
+    }
 
 
     /**
-     * Parses HTML into DOM nodes and replaces the original fragment.
-     * Returns an array of the new nodes.
+     * Writes recorded values back to the store in one batch, without recording them.
+     *
+     * @param {Array<{path: string, value: *}>} writes - undefined values are removed.
      */
-    function parseFragment(html, fragData) {
+    function replayHistory(writes) {
+        replayingHistory = true;
+        try {
+            batch(() => {
+                for (const { path, value } of writes) {
+                    if (value === undefined) {
+                        removeHistoryPath(path);
+                        continue;
+                    }
 
-        const wrapper = document.createElement("div");
-        wrapper.innerHTML = html;
+                    setDataCreatingParents(path, cloneHistoryValue(value));
+                }
+            });
+        } finally {
+            replayingHistory = false;
+        }
+    }
 
-        loadBehaviorLinks(wrapper);
-        loadBehaviorsElements(wrapper);
 
-        loadTemplateLinks(wrapper);
-        loadTemplates(wrapper);
+    /**
+     * Removes a path while replaying. Array items are spliced out rather than
+     * deleted, so undoing a push() shortens the array instead of leaving a hole.
+     *
+     * @param {string} path
+     */
+    function removeHistoryPath(path) {
+        const dot = path.lastIndexOf(".");
+        const parentPath = path.slice(0, dot);
+        const parent = dot > 0 ? getData(parentPath) : null;
+        const index = Number(path.slice(dot + 1));
+
+        if (Array.isArray(parent) && Number.isInteger(index)) {
+            if (index < parent.length)
+                splice(parentPath, index, 1);
+            return;
+        }
 
-        buildTriggers(wrapper);
-        buildDataBindings(wrapper);
+        removeData(path);
+    }
 
-        // --- Parse and Load code src attributes
-        loadCodeElements(wrapper);
 
-        const newNodes = Array.from(wrapper.childNodes);
+    /** Keeps $history.canUndo / $history.canRedo in step with the stacks. */
+    function updateHistoryFlags() {
+        setRuntimeData("$history.canUndo", undoStack.length > 0);
+        setRuntimeData("$history.canRedo", redoStack.length > 0);
+    }
 
-        // --- swap the DOM fragment with the new nodes
-        fragData.el.replaceWith(...newNodes);
 
+    /** Deep-copies recorded values so later in-place edits cannot alter them. */
+    function cloneHistoryValue(value) {
+        if (value === null || typeof value !== "object")
+            return value;
 
-        // --- Run scripts & links ---
-        newNodes.forEach(n => {
-            handleFragmentLinks(n);
-            runScripts(n);
-        });
+        try {
+            return structuredClone(value);
+        } catch {
+            return value;
+        }
+    }
 
 
-        return newNodes;
+    /***************************************************************************************
+     *
+     * Schema Validation Functions
+     * ---------------------------
+     * Frontend.defineSchema() attaches a small JSON-Schema-like description to a
+     * state path. Writes through setData(), removeData(), merge() and the array
+     * helpers are checked against it before anything is mutated; invalid writes
+     * are rejected and announced with a data:invalid event.
+     *
+     * Supported keywords:
+     *   type                  "string" | "number" | "integer" | "boolean" | "object" | "array" | "null"
+     *                         (or an array of them)
+     *   enum                  allowed values
+     *   min / max             number range, string length or array length
+     *   pattern               regular expression a string must match
+     *   properties            schemas for object properties
+     *   required              property names an object must have
+     *   additionalProperties  false to reject unknown properties (catches typos)
+     *   items                 schema for every array item
+     *
+     * The first error for each field is stored at "$errors.<path>" (outside user
+     * state), so it can be bound next to the field; a valid write clears it again.
+     *
+     **************************************************************************************/
+
+    /** Schema root path → schema */
+    const schemas = new Map();
+
+
+    /**
+     * Registers a schema for a state path.
+     *
+     * @param {string} path   - e.g. "user"
+     * @param {Object} schema - See the keyword list above.
+     *
+     * Example:
+     *   Frontend.defineSchema("user", {
+     *       type: "object",
+     *       required: ["name"],
+     *       additionalProperties: false,
+     *       properties: {
+     *           name:  { type: "string", min: 1 },
+     *           email: { type: "string", pattern: "^[^@]+@[^@]+$" },
+     *           age:   { type: "integer", min: 0, max: 150 },
+     *           role:  { enum: ["admin", "editor", "viewer"] }
+     *       }
+     *   });
+     */
+    function defineSchema(path, schema) {
+        if (typeof path !== "string" || !path || !schema || typeof schema !== "object") {
+            console.error("[Frontend] defineSchema() requires a path and a schema object");
+            return;
+        }
+
+        schemas.set(path, schema);
+
+        const current = getData(path);
+        if (current !== undefined) {
+            const errors = [];
+            validateValue(schema, current, path, errors);
+            if (errors.length)
+                console.warn(`[Frontend] Current value of "${path}" does not match its schema:`, errors);
+        }
     }
 
+
     /**
-     * Promotes <link> elements into <head>, avoiding duplicates.
-     * Removes them from the body if already present.
+     * Validates a pending write before anything is mutated. Invalid writes fire
+     * data:invalid, store their errors under "$errors.*" and return true.
+     *
+     * @param {string} path - The path being written.
+     * @param {*} value     - The new value (undefined for a removal).
+     * @returns {boolean} True if the write must be rejected.
      */
-    function handleFragmentLinks(node) {
-        if (node.nodeName === "LINK") {
-            const rel = node.getAttribute("rel");
-            const href = node.getAttribute("href");
-            const duplicate = [...document.head.querySelectorAll("link")]
-                .some(l => l.getAttribute("rel") === rel && l.getAttribute("href") === href);
+    function rejectInvalidWrite(path, value) {
+        if (schemas.size === 0)
+            return false;
 
-            if (!duplicate) {
-                document.head.appendChild(node);
-            } else {
-                node.remove();
-            }
-        } else if (node.querySelectorAll) {
-            node.querySelectorAll("link").forEach(handleFragmentLinks);
+        const errors = validateWrite(path, value);
+
+        if (errors.length === 0)
+            return false;
+
+        console.warn(`[Frontend] Rejected invalid write to "${path}":`, errors);
+
+        for (const { path: field, message } of errors) {
+            setErrorMessage(field, message);
         }
+
+        dispatch("data:invalid", { path, value, errors });
+        return true;
     }
 
 
-    /***************************************************************************************
+    /**
+     * Stores a field's error message at "$errors.<field>". A message already
+     * stored for an ancestor field is replaced, since it cannot hold children.
      *
-     * Fragment Internal Script Handler Functions
-     * 
-     **************************************************************************************/
+     * @param {string} field
+     * @param {string} message
+     */
+    function setErrorMessage(field, message) {
+        const keys = `$errors.${field}`.split(".");
+
+        for (let i = 2; i < keys.length; i++) {
+            const ancestor = keys.slice(0, i).join(".");
+            if (typeof getData(ancestor) === "string")
+                setRuntimeData(ancestor, undefined);
+        }
+
+        setRuntimeData(keys.join("."), message);
+    }
+
 
     /**
-     * Processes <script> elements:
-     * - External scripts (<script src>) are moved to <head> if not already there
-     * - Inline scripts are reinserted to force execution
+     * Clears the stored errors for a path (and below) once a valid write to it
+     * has been applied.
+     *
+     * @param {string} path
      */
-    function runScripts(root) {
-        try {
-            if (root.nodeName === "SCRIPT") {
-                const src = root.getAttribute("src");
-                if (src) return handleExternalScript(root, src);
-                return handleInlineScript(root);
-            }
+    function clearWriteErrors(path) {
+        if (schemas.size)
+            setRuntimeData(`$errors.${path}`, undefined);
+    }
 
-            if (root.querySelectorAll) {
-                root.querySelectorAll("script").forEach(runScripts);
+
+    /**
+     * Checks a write against every schema it touches: schemas on the path or an
+     * ancestor (validating the matching sub-schema) and schemas below the path
+     * (validating the matching part of the new value).
+     *
+     * @param {string} path
+     * @param {*} value
+     * @returns {Array<{path: string, message: string}>}
+     */
+    function validateWrite(path, value) {
+        const errors = [];
+
+        for (const [root, schema] of schemas) {
+            if (path === root || path.startsWith(root + ".")) {
+                const rest = path === root ? [] : path.slice(root.length + 1).split(".");
+                const { schema: sub, parent, error } = resolveSubschema(schema, rest, root);
+
+                if (error) {
+                    errors.push({ path, message: error });
+                } else if (value === undefined) {
+                    const key = rest[rest.length - 1];
+                    if (parent?.required?.includes(key))
+                        errors.push({ path, message: "is required" });
+                } else if (sub) {
+                    validateValue(sub, value, path, errors);
+                }
+
+            } else if (root.startsWith(path + ".")) {
+                const rest = root.slice(path.length + 1).split(".");
+                const nested = rest.reduce((o, k) => (o != null ? o[k] : undefined), value);
+                if (nested !== undefined)
+                    validateValue(schema, nested, root, errors);
             }
-        } catch (err) {
-            console.error("Script execution error:", err);
         }
+
+        return errors;
     }
 
+
     /**
-     * Handles external <script src="...">.
-     * Moves it into <head> unless already loaded.
+     * Walks a schema down to the sub-schema for a relative key path.
+     *
+     * @returns {{schema: Object|null, parent: Object|null, error: string|null}}
+     *          schema is null when the path is not described (anything goes);
+     *          error is set when the path is not allowed at all.
      */
-    function handleExternalScript(root, src) {
-        const exists = [...document.head.querySelectorAll("script[src]")]
-            .some(s => s.getAttribute("src") === src);
-
-        if (!exists) {
-            const s = document.createElement("script");
-            for (const { name, value } of root.attributes) {
-                s.setAttribute(name, value);
+    function resolveSubschema(schema, keys, root) {
+        let current = schema;
+        let parent = null;
+
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            parent = current;
+
+            if (current.items && /^\d+$/.test(key)) {
+                current = current.items;
+            } else if (current.properties && key in current.properties) {
+                current = current.properties[key];
+            } else if (current.additionalProperties === false) {
+                return { schema: null, parent, error: `"${key}" is not a known property of "${[root, ...keys.slice(0, i)].join(".")}"` };
+            } else if (typeof current.additionalProperties === "object") {
+                current = current.additionalProperties;
+            } else {
+                return { schema: null, parent, error: null };
             }
-            document.head.appendChild(s);
         }
-        root.remove();
+
+        return { schema: current, parent, error: null };
     }
 
+
     /**
-     * Handles inline <script> by recreating and reinserting it.
-     * Ensures inline code executes.
+     * Validates a value against a schema, collecting errors (with full paths).
+     *
+     * @param {Object} schema
+     * @param {*} value
+     * @param {string} path
+     * @param {Array<{path: string, message: string}>} errors
      */
-    function handleInlineScript(old) {
-        const s = document.createElement("script");
-        for (const { name, value } of old.attributes) {
-            s.setAttribute(name, value);
+    function validateValue(schema, value, path, errors) {
+        const fail = message => errors.push({ path, message });
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(t => matchesSchemaType(t, value))) {
+                fail(`must be of type ${types.join(" or ")}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => Object.is(option, value))) {
+            fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+        }
+
+        const size = typeof value === "number" ? value
+            : (typeof value === "string" || Array.isArray(value)) ? value.length
+            : null;
+        const unit = typeof value === "number" ? "" : typeof value === "string" ? " characters" : " items";
+
+        if (size !== null && schema.min !== undefined && size < schema.min)
+            fail(`must be at least ${schema.min}${unit}`);
+        if (size !== null && schema.max !== undefined && size > schema.max)
+            fail(`must be at most ${schema.max}${unit}`);
+
+        if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value))
+            fail(`must match ${schema.pattern}`);
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, i) => validateValue(schema.items, item, `${path}.${i}`, errors));
+        }
+
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined || value[key] === null)
+                    errors.push({ path: `${path}.${key}`, message: "is required" });
+            }
+
+            for (const [key, child] of Object.entries(value)) {
+                const sub = schema.properties?.[key]
+                    ?? (typeof schema.additionalProperties === "object" ? schema.additionalProperties : null);
+
+                if (sub) {
+                    validateValue(sub, child, `${path}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: `${path}.${key}`, message: `"${key}" is not a known property` });
+                }
+            }
         }
-        if (old.textContent) s.textContent = old.textContent;
-        old.parentNode.insertBefore(s, old);
-        old.remove();
     }
 
 
+    /** Tests a value against a single schema type name. */
+    function matchesSchemaType(type, value) {
+        switch (type) {
+            case "string":  return typeof value === "string";
+            case "number":  return typeof value === "number" && !Number.isNaN(value);
+            case "integer": return Number.isInteger(value);
+            case "boolean": return typeof value === "boolean";
+            case "array":   return Array.isArray(value);
+            case "object":  return value !== null && typeof value === "object" && !Array.isArray(value);
+            case "null":    return value === null;
+            default:
+                console.warn(`[Frontend] Unknown schema type "${type}"`);
+                return true;
+        }
+    }
+
 
     /***************************************************************************************
      *
-     * Template Utility Functions
-     * 
+     * Binding Index
+     * -------------
+     * Maps each state path to the elements that reference it — data-bind-* bindings
+     * and on-data-*-key lifecycle handlers — so an update only touches the affected
+     * elements instead of scanning the whole document. Elements are held through
+     * WeakRefs; entries are dropped when the element is garbage collected, when
+     * releaseNodes() lets go of it, or when its attribute no longer points at the
+     * path. Elements that are bound before insertion, or detached for a while,
+     * keep updating.
+     *
+     * data-bind-* values that are expressions (data-bind-text="price * qty | currency")
+     * are indexed separately, under the first segment of each path they read.
+     *
      **************************************************************************************/
 
-    /**
-     * Normalizes any <templates> containers found inside a given root.
-     * Moves all <template> children into the global <templates id="templates"> container.
-     * Removes the processed <templates> containers afterward.
-     *
-     * @param {ParentNode} sourceRoot - The DOM node to search within (e.g. fragment wrapper or document).
-     * @param {HTMLElement} templatesRoot - The global <templates id="templates"> container.
-     */
-    function normalizeTemplatesContainers(sourceRoot, templatesRoot) {
-        const containers = Array.from(sourceRoot.querySelectorAll("templates"));
-        for (const container of containers) {
-            // Warn if nested <templates id="templates"> is found
-            if (container.id === "templates") {
-                console.warn("[Frontend] Found embedded <templates id=\"templates\">; merging into global container.");
-            }
+    /** State path (or "path.*" wildcard) → Array<{ ref: WeakRef<Element>, attr: string }> */
+    const bindingIndex = new Map();
 
-            // Move all child <template> elements into the global templates root
-            const innerTemplates = Array.from(container.querySelectorAll("template"));
-            for (const tmpl of innerTemplates) {
-                moveTemplateToGlobal(tmpl, templatesRoot);
+    /** Element → Map<attr, path> of entries currently indexed for it */
+    const indexedBindings = new WeakMap();
+
+    /** First path segment → Array<{ ref: WeakRef<Element>, attr: string, source: string }> */
+    const expressionIndex = new Map();
+
+
+    /**
+     * Indexes a data-bind-* or data-model attribute and applies the current state value to it.
+     *
+     * @param {Element} el   - The bound element.
+     * @param {string} attr  - The binding attribute, e.g. "data-bind-text" or "data-model".
+     * @param {string} path  - The state path it is bound to.
+     */
+    function bindElement(el, attr, path) {
+        if (!PLAIN_PATH.test(path)) {
+            if (attr === "data-model") {
+                console.warn(`[Frontend] data-model needs a plain state path, got "${path}"`);
+                return;
             }
 
-            // Remove the container after its contents are merged
-            container.remove();
+            bindExpression(el, attr, path);
+            return;
         }
+
+        indexElementPath(el, attr, path);
+
+        if (attr === "data-model")
+            listenForModelEvents();
+
+        // Bind the current value right away instead of waiting for the next setData()
+        const value = getData(path);
+        if (value !== undefined)
+            applyIndexedBinding(el, attr, value);
     }
 
 
     /**
-     * Moves a <template> element into the global <templates id="templates"> container,
-     * skipping duplicates by ID.
+     * Indexes a data-bind-* expression under every path it reads and applies its current value.
      *
-     * @param {HTMLTemplateElement} tmpl - The <template> element to move.
-     * @param {HTMLElement} templatesRoot - The global <templates id="templates"> element.
+     * @param {Element} el
+     * @param {string} attr   - The data-bind-* attribute.
+     * @param {string} source - The expression, e.g. "user.name | upper".
      */
-    function moveTemplateToGlobal(tmpl, templatesRoot) {
-        const id = tmpl.id;
-        if (!id) {
-            console.warn("[Frontend] Ignored <template> without id in fragment.");
+    function bindExpression(el, attr, source) {
+        const compiled = compileExpression(source);
+        if (!compiled)
             return;
+
+        let entries = indexedBindings.get(el);
+        if (!entries) {
+            entries = new Map();
+            indexedBindings.set(el, entries);
         }
 
-        // Skip duplicates
-        if (templatesRoot.querySelector(`template#${CSS.escape(id)}`)) {
-            console.warn(`[Frontend] Duplicate template id "${id}" in fragment — skipped`);
-            return;
+        if (entries.get(attr) !== source) {
+            if (entries.has(attr)) unindexBinding(el, attr);
+            entries.set(attr, source);
+
+            const roots = new Set(compiled.deps.map(dep => dep.split(".")[0]));
+            for (const root of roots) {
+                if (!expressionIndex.has(root)) expressionIndex.set(root, []);
+                expressionIndex.get(root).push({ ref: new WeakRef(el), attr, source });
+            }
         }
 
-        templatesRoot.appendChild(tmpl);
+        const value = evaluateExpression(compiled.ast, getData);
+        if (value !== undefined)
+            applyIndexedBinding(el, attr, value);
     }
 
-    /***************************************************************************************
-     *
-     * Markdown Processor API
-     * -----------------------
-     * Allows developers to register a Markdown-to-HTML processor.
-     * Your core code remains agnostic; you just call Frontend.renderMarkdown(text)
-     * whenever you need to render Markdown.
-     *
-     ***************************************************************************************/
 
     /**
-     * Registers a custom Markdown processor.
-     * @param {Function} fn - A function(text: string) => html: string
+     * Pushes a value into an indexed data-bind-* or data-model attribute.
+     *
+     * @param {Element} el
+     * @param {string} attr - "data-model" or a "data-bind-*" attribute name.
+     * @param {*} value
      */
-    function setMarkdownProcessor(fn) {
-        if (typeof fn !== "function") {
-            console.error("[Frontend] setMarkdownProcessor requires a function");
+    function applyIndexedBinding(el, attr, value) {
+        if (attr === "data-model") {
+            // Don't echo a value back into the control that produced it — even when
+            // the change is announced later, at the end of a batch or transaction
+            if (modelWrites.has(el) && sameValue(modelWrites.get(el), value))
+                return;
+
+            modelWrites.delete(el);
+            applyModelValue(el, value);
             return;
         }
-        markdownProcessor = fn;
-        console.log("[Frontend] Markdown processor registered.");
+
+        // e.g. data-bind-text, data-bind-style-color → ["text"], ["style","color"]
+        applyDataBinding(el, attr.split("-").slice(2), value);
     }
 
+
     /**
-     * Converts Markdown text to HTML using the registered processor.
-     * If none is set, returns escaped plain text.
-     * @param {string} text
-     * @returns {string} HTML string
+     * Records that `el` references `path` through attribute `attr`.
+     * Re-indexing the same attribute with a new path moves the entry.
+     *
+     * @param {Element} el
+     * @param {string} attr - e.g. "data-bind-text" or "on-data-changed-key".
+     * @param {string} path - The state path (or "path.*" wildcard).
      */
-    function renderMarkdown(text) {
-        try {
-            return markdownProcessor(text);
-        } catch (err) {
-            console.error("[Frontend] Markdown processor failed:", err);
-            return `<pre>${text}</pre>`;
+    function indexElementPath(el, attr, path) {
+        let entries = indexedBindings.get(el);
+        if (!entries) {
+            entries = new Map();
+            indexedBindings.set(el, entries);
         }
-    }
 
+        if (entries.get(attr) === path)
+            return;
 
+        if (entries.has(attr)) unindexBinding(el, attr);
 
-    /***************************************************************************************
-     *
-     * State Functions
-     * 
-     **************************************************************************************/
+        entries.set(attr, path);
+        if (!bindingIndex.has(path)) bindingIndex.set(path, []);
+        bindingIndex.get(path).push({ ref: new WeakRef(el), attr });
+    }
 
 
     /**
-     * Sets a value in the global state and updates bound elements.
-     * Path can be nested ("user.name").
+     * Removes one of an element's entries from the index.
+     *
+     * @param {Element} el
+     * @param {string} attr
      */
-    function setData(path, value) {
-
-        const keys = path.split(".");
-        let obj = state;
+    function unindexBinding(el, attr) {
+        const entries = indexedBindings.get(el);
+        const path = entries?.get(attr);
+        if (path === undefined)
+            return;
 
-        for (let i = 0; i < keys.length - 1; i++) {
-            const k = keys[i];
+        entries.delete(attr);
 
-            if (!(k in obj)) {
-                console.error(`[Frontend] Cannot set "${path}": "${keys.slice(0, i + 1).join('.')}" does not exist`);
-                return;
-            }
+        const list = bindingIndex.get(path);
+        if (!list)
+            return;
 
-            obj = obj[k];
+        const remaining = list.filter(e => !(e.attr === attr && e.ref.deref() === el));
+        if (remaining.length) {
+            bindingIndex.set(path, remaining);
+        } else {
+            bindingIndex.delete(path);
         }
+    }
 
-        const lastKey = keys[keys.length - 1];
-        const existed = lastKey in obj;
-        const oldValue = obj[lastKey];
 
-        if (value === null || value === undefined) {
-            if (existed) {
-                delete obj[lastKey];
+    /**
+     * Removes every entry in a detached subtree from the index.
+     *
+     * @param {Element} root
+     */
+    function unindexBindings(root) {
+        for (const el of [root, ...root.querySelectorAll("*")]) {
+            const entries = indexedBindings.get(el);
+            if (!entries) continue;
 
-                dispatchDataEvent("deleted", path, undefined, oldValue);
-            } else {
-                console.warn(`[Frontend] Tried to remove non-existent key "${path}"`);
+            for (const attr of Array.from(entries.keys())) {
+                unindexBinding(el, attr);
             }
-
-            return;
         }
+    }
 
-        obj[lastKey] = value;
 
-        if (!existed) {
-            dispatchDataEvent("added", path, value, oldValue);
-        } else {
-            dispatchDataEvent("changed", path, value, oldValue);
-        }
+    /** The path an indexed attribute currently holds (extra data triggers keep theirs in a list). */
+    function getIndexedValue(el, attr) {
+        if (attr.includes("@"))
+            return extraTriggers.get(el)?.find(t => t.indexAttr === attr)?.key ?? null;
 
-        // Fire per-child 'add' updates for array or object values
-        // TODO: This should probably be recursive?
-        if (value && (Array.isArray(value) || typeof value === "object")) {
-            const entries = Array.isArray(value) ? value.entries() : Object.entries(value);
+        return el.getAttribute(attr);
+    }
 
-            for (const [key, child] of entries) {
-                dispatchDataEvent("added", `${path}.${key}`, value, undefined);
 
+    /**
+     * Returns the live elements indexed under `path` whose attribute matches,
+     * pruning collected and re-bound entries along the way.
+     *
+     * @param {string} path
+     * @param {function(string): boolean} matchAttr - Filters by attribute name.
+     * @returns {Array<{el: Element, attr: string}>}
+     */
+    function lookupIndexed(path, matchAttr) {
+        const list = bindingIndex.get(path);
+        if (!list)
+            return [];
+
+        const live = [];
+        const matches = [];
+
+        for (const entry of list) {
+            const el = entry.ref.deref();
+
+            // Collected or re-bound to another path → drop. Detached elements stay
+            // indexed (they may be re-inserted) until releaseNodes() unindexes them.
+            if (!el || getIndexedValue(el, entry.attr) !== path) {
+                if (el) indexedBindings.get(el)?.delete(entry.attr);
+                continue;
             }
+
+            live.push(entry);
+            if (matchAttr(entry.attr))
+                matches.push({ el, attr: entry.attr });
         }
 
+        if (live.length) {
+            bindingIndex.set(path, live);
+        } else {
+            bindingIndex.delete(path);
+        }
 
+        return matches;
     }
 
 
     /**
-     * Retrieves a value from the global state.
+     * Updates the elements bound to exactly this path.
+     *
+     * @param {string} key  - The state key that changed.
+     * @param {*} value     - The new value to bind.
      */
-    function getData(path) {
-        return path.split(".").reduce((o, k) => (o != null ? o[k] : undefined), state);
+    function updateDataBindings(key, value) {
+        const isBinding = a => a.startsWith("data-bind-") || a === "data-model";
+
+        for (const { el, attr } of lookupIndexed(key, isBinding)) {
+            applyIndexedBinding(el, attr, value);
+        }
+
+        // "todos.length" never fires its own events; it follows its array
+        if (Array.isArray(value)) {
+            for (const { el, attr } of lookupIndexed(`${key}.length`, isBinding)) {
+                applyIndexedBinding(el, attr, value.length);
+            }
+        }
+
+        updateExpressionBindings(key);
     }
 
 
     /**
-     * Removes a value from the global state at a given path.
-     * Fires data:removed and updates bound elements.
+     * Re-evaluates the expression bindings that read `path`, one of its
+     * ancestors or one of its descendants, pruning stale entries.
+     *
+     * @param {string} path - The state path that changed.
      */
-    function removeData(path) {
-        const keys = path.split(".");
-        let obj = state;
-        for (let i = 0; i < keys.length - 1; i++) {
-            const k = keys[i];
-            if (!(k in obj)) return; // nothing to remove
-            obj = obj[k];
-        }
+    function updateExpressionBindings(path) {
+        const root = path.split(".")[0];
+        const list = expressionIndex.get(root);
+        if (!list)
+            return;
 
-        const lastKey = keys[keys.length - 1];
+        const related = dep => dep === path || dep.startsWith(`${path}.`) || path.startsWith(`${dep}.`);
+        const live = [];
 
-        if (lastKey in obj) {
-            const oldValue = obj[lastKey];
-            delete obj[lastKey];
+        for (const entry of list) {
+            const el = entry.ref.deref();
 
-            dispatchDataEvent("deleted", path, undefined, oldValue);
+            // Collected or re-bound to another expression → drop
+            if (!el || el.getAttribute(entry.attr) !== entry.source
+                || indexedBindings.get(el)?.get(entry.attr) !== entry.source) {
+                continue;
+            }
+
+            live.push(entry);
 
+            const compiled = compileExpression(entry.source);
+            if (compiled.deps.some(related))
+                applyIndexedBinding(el, entry.attr, evaluateExpression(compiled.ast, getData));
+        }
+
+        if (live.length) {
+            expressionIndex.set(root, live);
+        } else {
+            expressionIndex.delete(root);
         }
     }
 
+
+    /***************************************************************************************
+     *
+     * Two-Way Binding Functions
+     * -------------------------
+     * Form controls with data-model="path" (or <data-binding mode="two-way">) are kept in
+     * sync in both directions. State changes update the control through the binding index;
+     * user edits are picked up by delegated input/change listeners on document and written
+     * back with setData().
+     *
+     * Options (attributes on the control):
+     *   - data-model-debounce="ms"   Wait for typing to pause before writing
+     *   - data-model-type="number|boolean|string"
+     *       Coercion; defaults to number for type=number/range, boolean for checkboxes
+     *
+     **************************************************************************************/
+
+    /** Control → the value it last wrote to state, skipped when that change echoes back */
+    const modelWrites = new WeakMap();
+
+    /** Element → pending debounce timer */
+    const modelTimers = new WeakMap();
+
+    let modelListening = false;
+
+
     /**
-     * Resets the entire state object to empty.
-     * Fires data:removed for each cleared key.
+     * Installs the delegated input/change listeners (once).
      */
-    function resetState() {
-        for (const key of Object.keys(state)) {
-            const oldValue = state[key];
-            delete state[key];
-            dispatchDataEvent("deleted", key, undefined, oldValue);
-        }
+    function listenForModelEvents() {
+        if (modelListening)
+            return;
+
+        modelListening = true;
+        document.addEventListener("input", handleModelEvent);
+        document.addEventListener("change", handleModelEvent);
     }
 
 
     /**
-     * Finds elements bound to a given path and updates them.
-     * Also fires lifecycle hooks (on-data-added, on-data-changed, etc.).
+     * Reads the control that fired the event and writes its value to state.
+     * Text-like controls write on "input"; checkboxes, radios and selects on "change".
+     *
+     * @param {Event} event
      */
-    function dispatchDataEvent(type, path, value, oldValue) {
-
-        updateDataBindings(path, value);
+    function handleModelEvent(event) {
+        const el = event.target;
+        if (!(el instanceof Element) || !el.hasAttribute("data-model"))
+            return;
 
-        const selector = `[on-data-${type}-key="${path}"]`;
-        const elements = document.querySelectorAll(selector);
+        const tag = el.tagName.toLowerCase();
+        const type = (el.getAttribute("type") || "").toLowerCase();
+        const changeOnly = tag === "select" || type === "checkbox" || type === "radio";
 
+        if (changeOnly && event.type !== "change")
+            return;
 
-        for (const el of elements) {
-            const handler = el.getAttribute(`on-data-${type}`);
-            if (!handler)
-                continue;
+        // Radios only report when they become the checked one
+        if (type === "radio" && !el.checked)
+            return;
 
-            const targetId = el.getAttribute(`on-data-${type}-target`);
-            let targetElement = undefined;
-            if (targetId) {
-                targetElement = document.getElementById(targetId);
-                if (!targetElement) {
-                    console.warn(`[Frontend] on-data-${type}-target element not found: "${targetId}"`);
-                }
-            }
+        const path = el.getAttribute("data-model");
+        const value = readModelValue(el);
 
-            try {
-                invokeEventAction(handler, el, path, path, oldValue, value, targetElement);
-            } catch (e) {
-                console.error(`[Frontend] Error in on-data-${type} handler for ${path}:`, e);
-            }
+        const delay = Number(el.getAttribute("data-model-debounce")) || 0;
+        clearTimeout(modelTimers.get(el));
 
+        if (delay > 0 && event.type === "input") {
+            modelTimers.set(el, setTimeout(() => writeModelValue(el, path, value), delay));
+        } else {
+            writeModelValue(el, path, value);
         }
+    }
 
 
-        const parts = path.split(".");
-
-        // iterate up the path chain: user.profile.name -> user.profile.*, user.*
-        for (let i = parts.length - 1; i > 0; i--) {
-            const key = parts.slice(0, i).join(".") + ".*";
-            const selector = `[on-data-child-${type}-key="${key}"]`;
+    /**
+     * Writes a control's value to state without echoing it back into that control.
+     * Missing parent objects are created first.
+     *
+     * @param {Element} el
+     * @param {string} path
+     * @param {*} value
+     */
+    function writeModelValue(el, path, value) {
+        modelTimers.delete(el);
 
-            const matches = document.querySelectorAll(selector);
-            if (matches.length === 0) continue;
+        if (getData(path) === value)
+            return;
 
-            for (const el of matches) {
-                const handler = el.getAttribute(`on-data-child-${type}`);
-                if (!handler)
-                    continue;
+        // A control bound to "form.name" creates "form" if needed
+        modelWrites.set(el, value);
+        setDataCreatingParents(path, value);
+    }
 
-                const targetId = el.getAttribute(`on-data-${type}-target`);
-                let targetElement = undefined;
-                if (targetId) {
-                    targetElement = document.getElementById(targetId);
-                    if (!targetElement) {
-                        console.warn(`[Frontend] on-data-${type}-target element not found: "${targetId}"`);
-                    }
-                }
 
-                invokeEventAction(handler, el, path, key, oldValue, value, undefined);
-            }
-        }
+    /**
+     * Reads a form control's current value, coerced per data-model-type.
+     *
+     * @param {Element} el
+     * @returns {*}
+     */
+    function readModelValue(el) {
+        const tag = el.tagName.toLowerCase();
+        const type = (el.getAttribute("type") || "").toLowerCase();
 
-        dispatch("data:" + type, { path, value, oldValue });
-    }
+        if (type === "checkbox")
+            return coerceModelValue(el, el.checked);
 
+        if (tag === "select" && el.multiple)
+            return Array.from(el.selectedOptions, o => coerceModelValue(el, o.value));
 
-    function invokeEventAction(handler, el, key, matchedOn, oldValue, value, targetElement) {
+        return coerceModelValue(el, el.value);
+    }
 
-        try {
-            new Function("el", "key", "matchedOn", "value", "oldValue", "targetElement", handler)(
-                el, key, matchedOn, value, oldValue, targetElement
-            );
 
-        } catch (e) {
-            console.error(`[Frontend] Error in event handler:`, e);
+    /**
+     * Pushes a state value into a form control.
+     *
+     * @param {Element} el
+     * @param {*} value
+     */
+    function applyModelValue(el, value) {
+        const tag = el.tagName.toLowerCase();
+        const type = (el.getAttribute("type") || "").toLowerCase();
+
+        if (type === "checkbox") {
+            el.checked = !!value;
+        } else if (type === "radio") {
+            el.checked = value != null && String(value) === el.value;
+        } else if (tag === "select" && el.multiple) {
+            const selected = (Array.isArray(value) ? value : [value]).map(String);
+            for (const option of el.options) option.selected = selected.includes(option.value);
+        } else if ("value" in el) {
+            el.value = value ?? "";
         }
     }
 
 
     /**
-     * Updates all elements that declare any data-bind-* attribute matching the key.
+     * Coerces a raw control value according to data-model-type (or the control type).
      *
-     * @param {string} key  - The state key that changed.
-     * @param {*} value     - The new value to bind.
+     * @param {Element} el
+     * @param {*} raw
+     * @returns {*}
      */
-    function updateDataBindings(key, value) {
-        // Query every element that might have bindings.
-        const all = document.querySelectorAll("*");
+    function coerceModelValue(el, raw) {
+        const inputType = (el.getAttribute("type") || "").toLowerCase();
+        const type = el.getAttribute("data-model-type")
+            || (inputType === "number" || inputType === "range" ? "number" : null)
+            || (inputType === "checkbox" ? "boolean" : null);
 
-        for (const el of all) {
-            for (const attr of el.attributes) {
-                if (!attr.name.startsWith("data-bind-")) continue;
+        switch (type) {
+            case "number":
+                // A cleared field stays in the model as "" (null would delete the key)
+                if (raw === "" || raw === null) return "";
+                return Number.isNaN(Number(raw)) ? raw : Number(raw);
 
-                // Match only bindings for this specific key
-                if (attr.value !== key) continue;
+            case "boolean":
+                return raw === true || raw === "true" || raw === "on";
 
-                // e.g. data-bind-text, data-bind-style-color → ["text"], ["style","color"]
-                const targetPath = attr.name.split("-").slice(2);
-                applyDataBinding(el, targetPath, value);
-            }
+            default:
+                return raw;
         }
     }
 
@@ -1479,9 +6615,15 @@ async function loadFragments(root) {
                 el.textContent = value ?? "";
                 break;
 
-            case "html":
+            case "html": {
+                const old = Array.from(el.childNodes);
                 el.innerHTML = value ?? "";
+                releaseNodes(old);
+
+                // Bindings written into the injected markup
+                for (const child of el.children) indexBindings(child);
                 break;
+            }
 
             case "value":
                 el.value = value ?? "";
@@ -1548,12 +6690,39 @@ async function loadFragments(root) {
     // ---------------------------
     return {
         initialize,
+        load,
+        loadFragmentInto,
+        configure,
+        clearFragmentCache,
+        loadFragment,
+        reloadFragment,
+        replaceFragmentSource,
         on,
         setData,
         getData,
         loadComponent,
         removeData,
         resetState,
+        watch,
+        batch,
+        transaction,
+        computed,
+        persist,
+        snapshot,
+        restore,
+        defineSchema,
+        history: {
+            track: trackHistory,
+            undo,
+            redo,
+            clear: clearHistory
+        },
+        push,
+        insert,
+        splice,
+        merge,
+        ensurePath,
+        registerFilter,
         setMarkdownProcessor,
         renderMarkdown
     };